@@ -3,11 +3,12 @@ import commonjs from 'rollup-plugin-commonjs';
 import resolve from 'rollup-plugin-node-resolve';
 import {uglify} from 'rollup-plugin-uglify';
 
-export default [{
-  input: 'dist/blocking-elements.js',
+const minified = (name, globalName) => ({
+  input: `dist/${name}.js`,
   output: {
-    file: 'dist/blocking-elements.min.js',
+    file: `dist/${name}.min.js`,
     format: 'iife',
+    name: globalName,
   },
   plugins: [
     resolve(),
@@ -35,4 +36,14 @@ export default [{
       }
     }),
   ],
-}];
+});
+
+export default [
+  minified('blocking-elements', 'blockingElements'),
+  minified('blocking-attribute', 'blockingAttribute'),
+  minified('top-layer', 'topLayer'),
+  minified('frame-coordinator', 'frameCoordinator'),
+  minified('testing', 'blockingElementsTesting'),
+  minified('blocking-mixin', 'blockingMixin'),
+  minified('blocking-region', 'blockingRegion'),
+];
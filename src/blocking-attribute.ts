@@ -0,0 +1,230 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BlockingElements, BlockingElementsChangeDetail, DocumentWithBlockingElements} from './blocking-elements-core.js';
+
+/* Symbols for private properties */
+const _blockingElements = Symbol();
+const _root = Symbol();
+const _mo = Symbol();
+const _managed = Symbol();
+
+/* Symbols for private methods */
+const _collect = Symbol();
+const _handleMutations = Symbol();
+const _handleChange = Symbol();
+const _reflectTop = Symbol();
+
+/**
+ * `BlockingAttributeObserver` pushes the elements with the `blocking`
+ * attribute onto a `BlockingElements` stack, and removes them once the
+ * attribute is removed or once they are disconnected. Elements inside open
+ * shadow roots are observed as well.
+ *
+ * Elements found at once are pushed in tree order, so the last one becomes the
+ * top; elements that later get the attribute are pushed on top of the others.
+ *
+ * The top blocking element is reflected with the `blocking-top` attribute.
+ *
+ * Shadow roots attached to elements already connected to the observed tree
+ * cannot be noticed; call `observe()` again to look for them.
+ */
+export class BlockingAttributeObserver {
+  /**
+   * The stack to update.
+   */
+  private[_blockingElements]: BlockingElements;
+
+  /**
+   * The observed node. It receives the `blockingelementschange` events of the
+   * stack.
+   */
+  private[_root]: Document|Element|ShadowRoot;
+
+  /**
+   * Observes the root and the open shadow roots within it.
+   */
+  private[_mo] = new MutationObserver(this[_handleMutations].bind(this));
+
+  /**
+   * The elements pushed because of their `blocking` attribute.
+   */
+  private[_managed] = new Set<HTMLElement>();
+
+  /**
+   * Observes the `blocking` attributes of `root` (defaults to the document)
+   * and updates `blockingElements` (defaults to `document.$blockingElements`)
+   * accordingly. To observe a scoped stack, pass the same root used to create
+   * it.
+   */
+  constructor(
+      blockingElements?: BlockingElements,
+      root: Document|Element|ShadowRoot = document) {
+    this[_blockingElements] = blockingElements ||
+        (document as DocumentWithBlockingElements).$blockingElements;
+    this[_root] = root;
+    this[_handleChange] = this[_handleChange].bind(this);
+  }
+
+  /**
+   * Starts observing, and pushes the elements that already have the
+   * `blocking` attribute.
+   */
+  observe(): void {
+    const found: HTMLElement[] = [];
+    this[_collect](this[_root], found, false);
+    for (const element of found) {
+      if (!this[_blockingElements].has(element)) {
+        this[_blockingElements].push(element);
+        this[_managed].add(element);
+      }
+    }
+    this[_root].addEventListener('blockingelementschange', this[_handleChange]);
+    this[_reflectTop](null, this[_blockingElements].top);
+  }
+
+  /**
+   * Stops observing, and removes from the stack the elements that were pushed
+   * because of their `blocking` attribute.
+   */
+  disconnect(): void {
+    this[_mo].disconnect();
+    this[_root].removeEventListener(
+        'blockingelementschange', this[_handleChange]);
+    this[_reflectTop](this[_blockingElements].top, null);
+    for (const element of this[_managed]) {
+      this[_blockingElements].remove(element);
+    }
+    this[_managed].clear();
+  }
+
+  /**
+   * Collects in tree order the descendants of the node that have the
+   * `blocking` attribute, including the node itself if `includeSelf` is true.
+   * It also starts observing the open shadow roots it finds.
+   */
+  private[_collect](node: Node, found: HTMLElement[], includeSelf: boolean):
+      void {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const element = node as HTMLElement;
+      if (includeSelf && element.hasAttribute('blocking')) {
+        found.push(element);
+      }
+      if (element.shadowRoot) {
+        this[_collect](element.shadowRoot, found, true);
+      }
+    } else if (
+        node.nodeType !== Node.DOCUMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return;
+    }
+    // Observe the root and the connected shadow roots.
+    if (node === this[_root] ||
+        (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.isConnected)) {
+      this[_mo].observe(node, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['blocking'],
+      });
+    }
+    const children = (node as Element | DocumentFragment).children;
+    for (let i = 0; i < children.length; i++) {
+      this[_collect](children[i], found, true);
+    }
+  }
+
+  /**
+   * Pushes or removes elements whose `blocking` attribute changed, and the
+   * ones with the `blocking` attribute that got connected or disconnected.
+   */
+  private[_handleMutations](mutations: MutationRecord[]): void {
+    const blockingElements = this[_blockingElements];
+    const managed = this[_managed];
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        const element = mutation.target as HTMLElement;
+        if (element === this[_root]) {
+          continue;
+        }
+        if (element.hasAttribute('blocking')) {
+          if (element.isConnected && !blockingElements.has(element)) {
+            blockingElements.push(element);
+            managed.add(element);
+          }
+        } else if (managed.has(element)) {
+          managed.delete(element);
+          blockingElements.remove(element);
+        }
+        continue;
+      }
+      for (let i = 0; i < mutation.removedNodes.length; i++) {
+        const node = mutation.removedNodes[i];
+        // Nodes moved within the document are also reported as removed.
+        if (node.isConnected) {
+          continue;
+        }
+        const found: HTMLElement[] = [];
+        this[_collect](node, found, true);
+        // Remove the top last, so that none of the others becomes the top
+        // while disconnected.
+        const top = blockingElements.top;
+        for (const element of found) {
+          if (element !== top && managed.has(element)) {
+            managed.delete(element);
+            blockingElements.remove(element);
+          }
+        }
+        if (top && managed.has(top) && found.indexOf(top) !== -1) {
+          managed.delete(top);
+          blockingElements.remove(top);
+        }
+      }
+      for (let i = 0; i < mutation.addedNodes.length; i++) {
+        const node = mutation.addedNodes[i];
+        if (!node.isConnected) {
+          continue;
+        }
+        const found: HTMLElement[] = [];
+        this[_collect](node, found, true);
+        for (const element of found) {
+          if (!blockingElements.has(element)) {
+            blockingElements.push(element);
+            managed.add(element);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Reflects the new top of the stack.
+   */
+  private[_handleChange](event: Event): void {
+    const detail = (event as CustomEvent<BlockingElementsChangeDetail>).detail;
+    this[_reflectTop](detail.oldTop, detail.newTop);
+  }
+
+  /**
+   * Moves the `blocking-top` attribute from the old top to the new top.
+   */
+  private[_reflectTop](oldTop: HTMLElement|null, newTop: HTMLElement|null):
+      void {
+    oldTop && oldTop.removeAttribute('blocking-top');
+    newTop && newTop.setAttribute('blocking-top', '');
+  }
+}
@@ -0,0 +1,2785 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * `BlockingElements` manages a stack of elements that inert the interaction
+ * outside them. The top element is the interactive part of the document.
+ * The stack can be updated with the methods `push, remove, pop`.
+ *
+ * Whenever the top element changes, a `blockingelementschange` event is fired
+ * on the document. Elements added to the stack receive a `blocked` event, and
+ * elements removed from it receive an `unblocked` event. All these events
+ * carry a `BlockingElementsChangeDetail`.
+ *
+ * The top element receives a cancelable `dismiss` event when dismissed as
+ * requested with the `dismissOnEscape` and `dismissOnOutsidePointer` options
+ * of `push`. It is removed unless the event is canceled.
+ */
+export interface BlockingElements {
+  /**
+   * Call this whenever this object is about to become obsolete. This empties
+   * the blocking elements
+   * @deprecated Use `dispose()`.
+   */
+  destructor(): void;
+
+  /**
+   * Removes all the blocking elements at once, restoring the blocked elements
+   * and stopping all observations. Focus is not restored. The instance can be
+   * used again, and keeps its configuration and exemptions unless
+   * `options.configuration` is true.
+   */
+  reset(options?: ResetOptions): void;
+
+  /**
+   * Resets the instance and makes it unusable: afterwards `push`, `batch`,
+   * `addExemption` and setting `strategy` throw, while the other methods do
+   * nothing.
+   */
+  dispose(): void;
+
+  /**
+   * The top blocking element.
+   */
+  top: HTMLElement|null;
+
+  /**
+   * How the elements outside the top element are blocked. Setting it while
+   * there is a top element unblocks them with the previous strategy and blocks
+   * them again with the new one.
+   */
+  strategy: BlockingStrategy;
+
+  /**
+   * Whether the scrolling root is prevented from scrolling while there is a
+   * top element. See `BlockingElementsOptions.scrollLock`.
+   */
+  scrollLock: boolean;
+
+  /**
+   * The modal semantics applied to the top element. See
+   * `BlockingElementsOptions.ariaModal`.
+   */
+  ariaModal: boolean|AriaModalOptions;
+
+  /**
+   * Adds the element to the blocking elements, above the elements of the same
+   * or lower layers, and below the elements of higher layers. Pushing an
+   * element already in the blocking elements moves it within its layer (unless
+   * another one is given), merging the options with the previous ones and
+   * keeping the element to restore the focus to.
+   */
+  push(element: HTMLElement, options?: PushOptions): void;
+
+  /**
+   * Removes the element from the blocking elements. Returns true if the
+   * element was removed.
+   */
+  remove(element: HTMLElement): boolean;
+
+  /**
+   * Remove the top blocking element and returns it.
+   */
+  pop(): HTMLElement|null;
+
+  /**
+   * Returns if the element is a blocking element.
+   */
+  has(element: HTMLElement): boolean;
+
+  /**
+   * Keeps the element, or the elements matching the selector within the root,
+   * interactive whatever the top element is. Their ancestors are kept
+   * interactive too, while their siblings are blocked.
+   */
+  addExemption(target: HTMLElement|string): void;
+
+  /**
+   * Removes an exemption added with `addExemption`.
+   */
+  removeExemption(target: HTMLElement|string): void;
+
+  /**
+   * Runs the callback, deferring the update of the blocked elements until it
+   * returns. `top` and `has` are updated right away, but the elements are
+   * blocked and unblocked once, according to the final top element. Focus
+   * changes and the `blockingelementschange` event are deferred as well, the
+   * event being fired only if the top element changed. Calls can be nested.
+   */
+  batch(callback: () => void): void;
+
+  /**
+   * Returns a snapshot of the state of the blocking elements, e.g. for
+   * debugging. Modifying it has no effect.
+   */
+  inspect(): BlockingElementsSnapshot;
+
+  /**
+   * Returns the blocking element that makes the node non-interactive, i.e.
+   * the top element if the node or one of its ancestors in the flattened tree
+   * was blocked because of it. Returns null otherwise, e.g. if the node was
+   * already inert.
+   */
+  isBlockedBy(node: Node): HTMLElement|null;
+}
+
+/**
+ * Options for `BlockingElements.push`.
+ */
+export interface PushOptions {
+  /**
+   * Moves focus into the element once it becomes the top blocking element.
+   * When `true`, focuses the first element with the `autofocus` attribute, or
+   * the first focusable element. When an element, focuses that element.
+   */
+  initialFocus?: boolean|HTMLElement;
+
+  /**
+   * When the element is removed from the blocking elements, moves focus back
+   * to the element that was focused when it was pushed, if that is still
+   * connected and not inert.
+   */
+  restoreFocus?: boolean;
+
+  /**
+   * Elements, or selectors of elements within the root, kept interactive
+   * while the element is the top blocking element, in addition to the ones
+   * added with `addExemption`.
+   */
+  exemptions?: Array<HTMLElement|string>;
+
+  /**
+   * Removes the element when the Escape key is pressed while it's the top
+   * element, unless the `keydown` event was handled before reaching the
+   * document (e.g. by stopping its propagation). A cancelable `dismiss` event
+   * is fired on the element first, and the element is removed only if the
+   * event is not canceled.
+   */
+  dismissOnEscape?: boolean;
+
+  /**
+   * Removes the element when a pointer is pressed outside of it, and outside
+   * of the exempt regions, while it's the top element. Like `dismissOnEscape`,
+   * a cancelable `dismiss` event is fired first.
+   */
+  dismissOnOutsidePointer?: boolean;
+
+  /**
+   * The layer of the element: the top element is the most recently pushed
+   * element of the highest layer. Either a number, or the name of one of the
+   * `layers` of the blocking elements, which stands for its index.
+   * Defaults to 0, i.e. `'default'` with the default layers. An element
+   * pushed below the top element doesn't get focused until it becomes the top
+   * element.
+   */
+  layer?: number|string;
+
+  /**
+   * Adds a session history entry for the element, so that navigating back
+   * removes it. Removing the element otherwise (`remove`, `pop`, `reset` or
+   * disconnecting it) goes back through its entry, once the entries added
+   * after it are gone as well.
+   */
+  history?: boolean;
+}
+
+/**
+ * The `detail` of the `dismiss` event.
+ */
+export interface DismissDetail {
+  /**
+   * What dismissed the element.
+   */
+  reason: 'escape'|'outside-pointer';
+}
+
+/**
+ * An element of the blocking elements, as returned by
+ * `BlockingElements.inspect`.
+ */
+export interface BlockingElementsEntry {
+  element: HTMLElement;
+
+  /**
+   * The options passed to `push`.
+   */
+  options: PushOptions;
+
+  /**
+   * Whether the element is skipped when determining the top element, since
+   * disconnected with the `dormant` disconnect policy.
+   */
+  dormant: boolean;
+}
+
+/**
+ * The state of the blocking elements returned by `BlockingElements.inspect`.
+ * All but `entries` describe the top element the blocked elements were updated
+ * for, which differs from the current top element during `batch`.
+ */
+export interface BlockingElementsSnapshot {
+  /**
+   * The blocking elements, from the bottom to the top of the stack.
+   */
+  entries: BlockingElementsEntry[];
+
+  /**
+   * The top element and its parents up to the root (excluded), in the
+   * flattened tree.
+   */
+  path: HTMLElement[];
+
+  /**
+   * The elements blocked by the strategy.
+   */
+  blocked: HTMLElement[];
+
+  /**
+   * The elements that had to be blocked but were already blocked, which are
+   * left untouched.
+   */
+  alreadyBlocked: HTMLElement[];
+
+  /**
+   * The distributed children of the top element, which are not blocked.
+   */
+  distributed: HTMLElement[];
+
+  /**
+   * The exempt regions and their parents, which are not blocked.
+   */
+  exempted: HTMLElement[];
+}
+
+/**
+ * The `detail` of the events fired by `BlockingElements`.
+ */
+export interface BlockingElementsChangeDetail {
+  /**
+   * The top blocking element before the change.
+   */
+  oldTop: HTMLElement|null;
+
+  /**
+   * The top blocking element after the change.
+   */
+  newTop: HTMLElement|null;
+}
+
+/**
+ * A `BlockingStrategy` defines how the elements outside the top blocking
+ * element are made non-interactive.
+ */
+export interface BlockingStrategy {
+  /**
+   * Returns if the element is already blocked, in which case it is not blocked
+   * nor unblocked by the blocking elements.
+   */
+  isBlocked(element: HTMLElement): boolean;
+
+  /**
+   * Makes the element non-interactive.
+   */
+  block(element: HTMLElement): void;
+
+  /**
+   * Undoes what `block` did to the element.
+   */
+  unblock(element: HTMLElement): void;
+}
+
+/**
+ * Options for `createBlockingElements`.
+ */
+export interface BlockingElementsOptions {
+  /**
+   * How the elements outside the top element are blocked. Defaults to an
+   * `InertBlockingStrategy`.
+   */
+  strategy?: BlockingStrategy;
+
+  /**
+   * What happens to the blocking elements disconnected from the root.
+   * - `'remove'` (default): they are removed from the blocking elements.
+   * - `'dormant'`: they stay in the blocking elements, but are skipped when
+   *   determining the top element until they are connected again.
+   *
+   * In both cases, a blocking element moved within the root stays in the
+   * blocking elements, and the inert elements are updated if it's the top.
+   */
+  disconnectPolicy?: 'remove'|'dormant';
+
+  /**
+   * Prevents the scrolling root from scrolling while there is a top element.
+   * The scrolling root is the document's scrolling element for the blocking
+   * elements of `document.body`, the root (or its host) otherwise. Its
+   * `overflow` is hidden and its right padding is increased by the width of
+   * the scrollbar that disappears; the previous inline styles are restored
+   * afterwards. The top element can still be scrolled. Defaults to false.
+   */
+  scrollLock?: boolean;
+
+  /**
+   * The names of the layers, from the lowest to the highest, that can be
+   * passed as `layer` to `push`. Defaults to `['default', 'system']`.
+   */
+  layers?: string[];
+
+  /**
+   * Sets `aria-modal="true"` on the top element, and removes it once it's not
+   * the top element anymore. Attributes set by the author are left alone.
+   * Pass an object to set `role="dialog"` as well, or to announce the new top
+   * elements. Defaults to false.
+   */
+  ariaModal?: boolean|AriaModalOptions;
+}
+
+export interface AriaModalOptions {
+  /**
+   * Sets `role="dialog"` on the top element if it has no role.
+   */
+  role?: boolean;
+
+  /**
+   * Announces the label of the new top element (from `aria-labelledby` or
+   * `aria-label`) through a polite live region. The live region is appended
+   * to the body and exempted.
+   */
+  announce?: boolean;
+}
+
+/**
+ * Options for `reset`.
+ */
+export interface ResetOptions {
+  /**
+   * Also removes the exemptions added with `addExemption`, and sets
+   * `strategy`, `scrollLock` and `ariaModal` back to the values the instance
+   * was created with. Defaults to false.
+   */
+  configuration?: boolean;
+}
+
+export interface DocumentWithBlockingElements extends Document {
+  $blockingElements: BlockingElements;
+}
+
+/* Symbols for private properties */
+const _blockingElements = Symbol();
+const _alreadyInertElements = Symbol();
+const _topElParents = Symbol();
+const _siblingsToRestore = Symbol();
+const _entries = Symbol();
+const _root = Symbol();
+const _strategy = Symbol();
+const _topDistributed = Symbol();
+const _slotRoots = Symbol();
+const _disconnectPolicy = Symbol();
+const _dormant = Symbol();
+const _mo = Symbol();
+const _moTargets = Symbol();
+const _exemptions = Symbol();
+const _exemptParents = Symbol();
+const _exemptedSiblings = Symbol();
+const _exemptChains = Symbol();
+const _batchDepth = Symbol();
+const _batchOldTop = Symbol();
+const _pendingFocus = Symbol();
+const _disposed = Symbol();
+const _scrollLock = Symbol();
+const _scrollLocked = Symbol();
+const _layers = Symbol();
+const _ariaModal = Symbol();
+const _ariaModalApplied = Symbol();
+const _liveRegion = Symbol();
+const _initialOptions = Symbol();
+
+/* Symbols for private static methods */
+const _topChanged = Symbol();
+const _swapInertedSibling = Symbol();
+const _inertSiblings = Symbol();
+const _restoreInertedSiblings = Symbol();
+const _getParents = Symbol();
+const _getDistributedChildren = Symbol();
+const _isInertable = Symbol();
+const _handleMutations = Symbol();
+const _affectsEntries = Symbol();
+const _notify = Symbol();
+const _getDeepActiveElement = Symbol();
+const _focusInitial = Symbol();
+const _restoreFocus = Symbol();
+const _findInComposedTree = Symbol();
+const _isFocusable = Symbol();
+const _isInert = Symbol();
+const _getRoot = Symbol();
+const _getEventTarget = Symbol();
+const _listenSlotChanges = Symbol();
+const _refreshTop = Symbol();
+const _isInRoot = Symbol();
+const _observeEntries = Symbol();
+const _needsSubtree = Symbol();
+const _updateEntries = Symbol();
+const _applyDisconnectPolicy = Symbol();
+const _isConnectedBelow = Symbol();
+const _getInertedChildren = Symbol();
+const _observe = Symbol();
+const _resolveExemptions = Symbol();
+const _applyExemptions = Symbol();
+const _restoreExemptions = Symbol();
+const _refreshExemptions = Symbol();
+const _assertInRoot = Symbol();
+const _whenApplied = Symbol();
+const _flush = Symbol();
+const _assertNotDisposed = Symbol();
+const _getBlocked = Symbol();
+const _notifyTopChange = Symbol();
+const _updateScrollLock = Symbol();
+const _getScrollingRoot = Symbol();
+const _handleTouchMove = Symbol();
+const _updateDismissListener = Symbol();
+const _dismiss = Symbol();
+const _dismissables = Symbol();
+const _dismissDoc = Symbol();
+const _historyWindow = Symbol();
+const _handleDismissEvent = Symbol();
+const _getLayer = Symbol();
+const _histories = Symbol();
+const _handlePopState = Symbol();
+const _syncHistory = Symbol();
+const _scheduleHistorySync = Symbol();
+const _addHistoryEntry = Symbol();
+const _releaseHistoryEntries = Symbol();
+const _updateAriaModal = Symbol();
+const _announce = Symbol();
+const _updateLiveRegion = Symbol();
+
+/**
+ * Elements that can receive focus, unless disabled or removed from the
+ * sequential focus navigation with `tabindex="-1"`.
+ */
+const focusableSelector = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'iframe',
+  '[tabindex]',
+  '[contenteditable]',
+].join(',');
+
+interface Inertable extends HTMLElement {
+  inert?: boolean;
+}
+
+interface InternalState {
+  [_siblingsToRestore]: Set<MaybeHasInternalState>;
+}
+interface HasInternalState extends Inertable, InternalState {}
+
+interface MaybeHasInternalState extends Inertable, Partial<InternalState> {}
+
+/**
+ * The state kept for each blocking element.
+ */
+interface Entry {
+  options: PushOptions;
+  /**
+   * The deep active element at the time the element was pushed.
+   */
+  focusToRestore: HTMLElement|null;
+  /**
+   * Increases with each push, across all the instances.
+   */
+  order: number;
+  /**
+   * The layer as a number.
+   */
+  layer: number;
+  /**
+   * Whether the element has to be focused as requested by `initialFocus` once
+   * it becomes the top element.
+   */
+  initialFocusPending: boolean;
+}
+
+/**
+ * The number of elements pushed, used to order the entries.
+ */
+let pushCount = 0;
+
+/**
+ * The key of the `history.state` property holding the token of the history
+ * entries added by `push`.
+ */
+const historyStateKey = '$blockingElements';
+
+/**
+ * A session history entry added by `push`.
+ */
+interface HistoryEntry {
+  blockingElements: BlockingElementsImpl;
+  /**
+   * The element the entry was added for, null once removed from the stack.
+   */
+  element: HTMLElement|null;
+  /**
+   * Identifies the entry in `history.state`. Increases with each entry.
+   */
+  token: number;
+  /**
+   * Whether `history.pushState` was called for the entry.
+   */
+  pushed: boolean;
+}
+
+/**
+ * The history entries added by `push` in a window, in session history order.
+ */
+interface HistoryRecord {
+  entries: HistoryEntry[];
+  /**
+   * The number of traversals started with `history.go` not done yet.
+   */
+  traversals: number;
+  /**
+   * Whether a sync is scheduled.
+   */
+  scheduled: boolean;
+}
+
+/**
+ * The number of history entries added, used as their tokens.
+ */
+let historyCount = 0;
+
+/**
+ * ShadyDOM shady roots look a lot like real ShadowRoots. The __shady property
+ * gives them away, though.
+ */
+interface MaybeShadyRoot extends Element {
+  __shady: unknown;
+  host: Element;
+}
+
+/**
+ * Counts, for each element and blocking effect, how many times the built-in
+ * strategies applied the effect. Several stacks can block the same element,
+ * and only the last one to unblock it undoes the effect.
+ */
+const blockCounts = new WeakMap<Element, Map<string, number>>();
+
+/**
+ * Increments the count of the effect on the element. Returns true if the
+ * effect was not applied yet.
+ */
+function acquire(element: Element, effect: string): boolean {
+  let counts = blockCounts.get(element);
+  if (!counts) {
+    counts = new Map();
+    blockCounts.set(element, counts);
+  }
+  const count = counts.get(effect) || 0;
+  counts.set(effect, count + 1);
+  return count === 0;
+}
+
+/**
+ * Decrements the count of the effect on the element. Returns true if the
+ * effect should be undone.
+ */
+function release(element: Element, effect: string): boolean {
+  const counts = blockCounts.get(element);
+  const count = counts && counts.get(effect);
+  if (!counts || !count) {
+    return false;
+  }
+  if (count > 1) {
+    counts.set(effect, count - 1);
+    return false;
+  }
+  counts.delete(effect);
+  return true;
+}
+
+/**
+ * Returns if the effect was applied to the element by a built-in strategy.
+ */
+function isOwned(element: Element, effect: string): boolean {
+  const counts = blockCounts.get(element);
+  return !!counts && counts.has(effect);
+}
+
+/**
+ * Elements inerted by the `InertBlockingStrategy` that got inerted by someone
+ * else too, e.g. by the application setting the `inert` attribute. They are
+ * left inert once unblocked.
+ */
+const externallyInert = new WeakSet<Element>();
+
+/**
+ * Observes the `inert` attribute of the elements inerted by the
+ * `InertBlockingStrategy`. Created lazily.
+ */
+let inertObserver: MutationObserver|null = null;
+
+/**
+ * Logs a warning the first time an element can't be inerted.
+ */
+let inertWarningLogged = false;
+
+/**
+ * Handles changes of the `inert` attribute made by someone else on the
+ * elements inerted by the `InertBlockingStrategy`. If the element got inert,
+ * it will be left inert once unblocked. If it got interactive, it is not
+ * considered inerted by the strategy anymore.
+ */
+function handleInertMutations(mutations: MutationRecord[]): void {
+  for (const mutation of mutations) {
+    const element = mutation.target as Element;
+    if (!isOwned(element, 'inert')) {
+      continue;
+    }
+    if (element.hasAttribute('inert')) {
+      externallyInert.add(element);
+    } else {
+      blockCounts.get(element)!.delete('inert');
+      externallyInert.delete(element);
+    }
+  }
+}
+
+/**
+ * Sets the `inert` property of the element, discarding the mutation records it
+ * generates.
+ */
+function setInert(element: Inertable, inert: boolean): void {
+  if (!inertObserver) {
+    inertObserver = new MutationObserver(handleInertMutations);
+  }
+  // Handle the pending changes made by others before ours.
+  handleInertMutations(inertObserver.takeRecords());
+  element.inert = inert;
+  inertObserver.takeRecords();
+  if (inert) {
+    inertObserver.observe(element, {
+      attributes: true,
+      attributeFilter: ['inert'],
+    });
+  }
+}
+
+/**
+ * Blocks the elements by setting their `inert` property. Requires native
+ * `inert` support or the wicg-inert polyfill.
+ * Sets the property `inert` over the attribute since the inert spec
+ * doesn't specify if it should be reflected.
+ * https://html.spec.whatwg.org/multipage/interaction.html#inert
+ *
+ * Elements are inerted only once, even if blocked by several stacks, and made
+ * interactive again only when all of them unblocked it. Elements that get the
+ * `inert` attribute from someone else meanwhile are left inert.
+ */
+export class InertBlockingStrategy implements BlockingStrategy {
+  isBlocked(element: HTMLElement): boolean {
+    return !!(element as Inertable).inert && !isOwned(element, 'inert');
+  }
+
+  block(element: HTMLElement): void {
+    if (!inertWarningLogged && !('inert' in element)) {
+      inertWarningLogged = true;
+      console.warn(
+          'The inert property is not supported, blocking elements have no ' +
+          'effect. Load the wicg-inert polyfill or use another strategy.');
+    }
+    if (acquire(element, 'inert')) {
+      setInert(element, true);
+    }
+  }
+
+  unblock(element: HTMLElement): void {
+    if (!release(element, 'inert')) {
+      return;
+    }
+    // Handle the pending changes made by others before deciding.
+    inertObserver && handleInertMutations(inertObserver.takeRecords());
+    if (externallyInert.has(element)) {
+      externallyInert.delete(element);
+    } else {
+      setInert(element, false);
+    }
+  }
+}
+
+/**
+ * The original `aria-hidden` and `tabindex` values of the elements blocked by
+ * the `AriaHiddenBlockingStrategy`, and of their focusable descendants.
+ */
+const originalAriaValues = new WeakMap<Element, {
+  ariaHidden: string | null,
+  tabIndexes: Map<Element, string|null>,
+}>();
+
+/**
+ * Blocks the elements by setting `aria-hidden="true"` on them, and
+ * `tabindex="-1"` on them and their focusable descendants (open shadow roots
+ * included). The original attribute values are restored when unblocking.
+ * Focusable elements added to a blocked element afterwards are not updated.
+ *
+ * Elements blocked by several stacks are restored only when all of them
+ * unblocked it.
+ */
+export class AriaHiddenBlockingStrategy implements BlockingStrategy {
+  isBlocked(element: HTMLElement): boolean {
+    return element.getAttribute('aria-hidden') === 'true' &&
+        !isOwned(element, 'aria-hidden');
+  }
+
+  block(element: HTMLElement): void {
+    if (!acquire(element, 'aria-hidden')) {
+      return;
+    }
+    const tabIndexes = new Map<Element, string|null>();
+    const collect = (node: Element|ShadowRoot) => {
+      const elements = node.querySelectorAll('*');
+      for (let i = 0; i < elements.length; i++) {
+        const el = elements[i];
+        if (el.matches(focusableSelector)) {
+          tabIndexes.set(el, el.getAttribute('tabindex'));
+        }
+        el.shadowRoot && collect(el.shadowRoot);
+      }
+    };
+    if (element.matches(focusableSelector)) {
+      tabIndexes.set(element, element.getAttribute('tabindex'));
+    }
+    element.shadowRoot && collect(element.shadowRoot);
+    collect(element);
+    originalAriaValues.set(
+        element, {ariaHidden: element.getAttribute('aria-hidden'), tabIndexes});
+    element.setAttribute('aria-hidden', 'true');
+    for (const el of tabIndexes.keys()) {
+      el.setAttribute('tabindex', '-1');
+    }
+  }
+
+  unblock(element: HTMLElement): void {
+    const original = originalAriaValues.get(element);
+    if (!release(element, 'aria-hidden') || !original) {
+      return;
+    }
+    originalAriaValues.delete(element);
+    restoreAttribute(element, 'aria-hidden', original.ariaHidden);
+    for (const [el, tabIndex] of original.tabIndexes) {
+      restoreAttribute(el, 'tabindex', tabIndex);
+    }
+  }
+}
+
+/**
+ * Blocks the elements by adding a class to them, e.g. to style them with
+ * `pointer-events: none`.
+ *
+ * Elements blocked by several stacks keep the class until all of them
+ * unblocked it.
+ */
+export class ClassBlockingStrategy implements BlockingStrategy {
+  readonly className: string;
+
+  constructor(className = 'blocked') {
+    this.className = className;
+  }
+
+  isBlocked(element: HTMLElement): boolean {
+    return element.classList.contains(this.className) &&
+        !isOwned(element, 'class ' + this.className);
+  }
+
+  block(element: HTMLElement): void {
+    if (acquire(element, 'class ' + this.className)) {
+      element.classList.add(this.className);
+    }
+  }
+
+  unblock(element: HTMLElement): void {
+    if (release(element, 'class ' + this.className)) {
+      element.classList.remove(this.className);
+    }
+  }
+}
+
+/**
+ * The inline style properties changed to lock the scroll.
+ */
+const scrollLockProperties =
+    ['overflow-x', 'overflow-y', 'overscroll-behavior', 'padding-right'];
+
+/**
+ * The inline values and priorities of the `scrollLockProperties` of the
+ * scroll-locked elements, before they were locked.
+ */
+const scrollLockStyles = new WeakMap<HTMLElement, Array<[string, string]>>();
+
+/**
+ * Returns the width of the vertical scrollbar of the element.
+ */
+function getScrollbarWidth(element: HTMLElement): number {
+  const doc = element.ownerDocument!;
+  if (element === doc.scrollingElement || element === doc.documentElement) {
+    return doc.defaultView!.innerWidth - doc.documentElement.clientWidth;
+  }
+  const style = getComputedStyle(element);
+  return element.offsetWidth - element.clientWidth -
+      (parseFloat(style.borderLeftWidth!) || 0) -
+      (parseFloat(style.borderRightWidth!) || 0);
+}
+
+/**
+ * Hides the overflow of the element, compensating for the width of its
+ * scrollbar with its right padding. Elements locked by several stacks are
+ * unlocked only when all of them unlocked it.
+ */
+function lockScroll(element: HTMLElement): void {
+  if (!acquire(element, 'scroll-lock')) {
+    return;
+  }
+  const style = element.style;
+  scrollLockStyles.set(element, scrollLockProperties.map((name) => {
+    return [
+      style.getPropertyValue(name),
+      style.getPropertyPriority(name)
+    ] as [string, string];
+  }));
+  const scrollbarWidth = getScrollbarWidth(element);
+  if (scrollbarWidth > 0) {
+    const padding = parseFloat(getComputedStyle(element).paddingRight!) || 0;
+    style.setProperty(
+        'padding-right', `${padding + scrollbarWidth}px`, 'important');
+  }
+  style.setProperty('overflow-x', 'hidden', 'important');
+  style.setProperty('overflow-y', 'hidden', 'important');
+  // Prevent scroll chaining and overscroll effects.
+  style.setProperty('overscroll-behavior', 'none', 'important');
+}
+
+/**
+ * Restores the inline styles changed by `lockScroll`.
+ */
+function unlockScroll(element: HTMLElement): void {
+  if (!release(element, 'scroll-lock')) {
+    return;
+  }
+  const style = element.style;
+  const values = scrollLockStyles.get(element)!;
+  scrollLockStyles.delete(element);
+  scrollLockProperties.forEach((name, i) => {
+    const [value, priority] = values[i];
+    if (value) {
+      style.setProperty(name, value, priority);
+    } else {
+      style.removeProperty(name);
+    }
+  });
+}
+
+/**
+ * The polite live regions used to announce the new top elements, for each
+ * document.
+ */
+const liveRegions = new WeakMap<Document, HTMLElement>();
+
+/**
+ * Returns the live region of the document, appending it to the body if
+ * needed.
+ */
+function getLiveRegion(doc: Document): HTMLElement {
+  let region = liveRegions.get(doc);
+  if (!region) {
+    region = doc.createElement('div');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    // Visually hidden, but still read by assistive technology.
+    region.style.cssText = 'position: absolute; width: 1px; height: 1px; ' +
+        'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+    liveRegions.set(doc, region);
+  }
+  region.isConnected || doc.body.appendChild(region);
+  return region;
+}
+
+/**
+ * Returns the accessible label of the element from `aria-labelledby`, or from
+ * `aria-label`.
+ */
+function getLabel(element: HTMLElement): string {
+  const ids = (element.getAttribute('aria-labelledby') || '').trim();
+  if (ids) {
+    const root = element.getRootNode() as Document | ShadowRoot;
+    const label = ids.split(/\s+/)
+                      .map((id) => {
+                        const labelEl = root.getElementById(id);
+                        return labelEl ? labelEl.textContent!.trim() : '';
+                      })
+                      .filter((text) => text)
+                      .join(' ');
+    if (label) {
+      return label;
+    }
+  }
+  return (element.getAttribute('aria-label') || '').trim();
+}
+
+/**
+ * Returns true if the node is the element or contains it, crossing shadow
+ * boundaries.
+ */
+function containsComposed(node: Node, element: Node): boolean {
+  let current: Node|null = element;
+  while (current) {
+    if (current === node) {
+      return true;
+    }
+    current = current.parentNode || (current as ShadowRoot).host || null;
+  }
+  return false;
+}
+
+/**
+ * Sets the attribute to the value, or removes it if the value is null.
+ */
+function restoreAttribute(element: Element, name: string, value: string|null) {
+  if (value === null) {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value);
+  }
+}
+
+/**
+ * The implementation of `BlockingElements`. Creating instances has no effect
+ * until elements are pushed, so that fresh instances can be created e.g. for
+ * each test.
+ */
+export class BlockingElementsImpl implements BlockingElements {
+  /**
+   * The instances with entries to dismiss, for each document. A single
+   * listener per document dismisses the top element of one of them.
+   */
+  private static[_dismissables] =
+      new WeakMap<Document, Set<BlockingElementsImpl>>();
+
+  /**
+   * The history entries added by all the instances, for each window.
+   */
+  private static[_histories] = new WeakMap<Window, HistoryRecord>();
+
+  /**
+   * The element or shadow root within which the blocking elements inert the
+   * interaction. A document means its body, and null means `document.body`,
+   * both resolved lazily since this instance might be created before the body
+   * is parsed.
+   */
+  private[_root]: Document|Element|ShadowRoot|null;
+
+  /**
+   * How the elements outside the top element are blocked.
+   */
+  private[_strategy]: BlockingStrategy;
+
+  /**
+   * The blocking elements.
+   */
+  private[_blockingElements]: MaybeHasInternalState[] = [];
+
+  /**
+   * Used to keep track of the parents of the top element, from the element
+   * itself up to the root. When top changes, the old top might have been
+   * removed from the document, so we need to memoize the inerted parents'
+   * siblings in order to restore their inerteness when top changes.
+   */
+  private[_topElParents]: HasInternalState[] = [];
+
+  /**
+   * Elements that were already inert when they had to be inerted. They are
+   * left untouched.
+   */
+  private[_alreadyInertElements] = new Set<MaybeHasInternalState>();
+
+  /**
+   * The distributed children of the top element, which are not inerted.
+   */
+  private[_topDistributed]: Set<HTMLElement>|null = null;
+
+  /**
+   * The shadow roots where a `slotchange` event might change the parents or
+   * the distributed children of the top element.
+   */
+  private[_slotRoots] = new Set<ShadowRoot>();
+
+  /**
+   * What happens to the blocking elements disconnected from the root.
+   */
+  private[_disconnectPolicy]: 'remove'|'dormant';
+
+  /**
+   * The blocking elements disconnected from the root, kept with the `dormant`
+   * policy.
+   */
+  private[_dormant] = new Set<HTMLElement>();
+
+  /**
+   * Observes the parents of the blocking elements to detect when they get
+   * disconnected or moved (and the subtrees containing them if needed, see
+   * `_observeEntries`), and the parents of the elements whose siblings are
+   * inerted, to update the inert elements. The records are dispatched by
+   * target in `_handleMutations`. Created lazily.
+   */
+  private[_mo]: MutationObserver|null = null;
+
+  /**
+   * The nodes observed by `_mo`, mapped to whether their subtree is observed.
+   * See `_observeEntries`.
+   */
+  private[_moTargets] = new Map<Node, boolean>();
+
+  /**
+   * The options and saved state of each blocking element.
+   */
+  private[_entries] = new Map<HTMLElement, Entry>();
+
+  /**
+   * The elements and selectors added with `addExemption`.
+   */
+  private[_exemptions] = new Set<HTMLElement|string>();
+
+  /**
+   * The parents of the exempt regions whose siblings are inerted, like
+   * `_topElParents` for the top element.
+   */
+  private[_exemptParents]: HasInternalState[] = [];
+
+  /**
+   * The siblings of the top element's parents that are kept interactive since
+   * they contain exempt regions, mapped to the parent whose
+   * `_siblingsToRestore` they were removed from.
+   */
+  private[_exemptedSiblings] = new Map<HTMLElement, HasInternalState>();
+
+  /**
+   * The exempt regions currently applied, each with its parents, as returned
+   * by `_resolveExemptions`.
+   */
+  private[_exemptChains]: HTMLElement[][] = [];
+
+  /**
+   * How many `batch` calls are running.
+   */
+  private[_batchDepth] = 0;
+
+  /**
+   * The top element when the outermost `batch` call started.
+   */
+  private[_batchOldTop]: HTMLElement|null = null;
+
+  /**
+   * The focus changes requested during `batch`, run once the blocked elements
+   * are updated.
+   */
+  private[_pendingFocus]: Array<() => void> = [];
+
+  /**
+   * Whether `dispose` was called.
+   */
+  private[_disposed] = false;
+
+  /**
+   * Whether to lock the scroll while there is a top element.
+   */
+  private[_scrollLock]: boolean;
+
+  /**
+   * The scrolling root locked by this instance, if any.
+   */
+  private[_scrollLocked]: HTMLElement|null = null;
+
+  /**
+   * The names of the layers, from the lowest to the highest.
+   */
+  private[_layers]: string[];
+
+  /**
+   * The document this instance is registered to for dismissal, if any.
+   */
+  private[_dismissDoc]: Document|null = null;
+
+  /**
+   * The window this instance added history entries to, if any.
+   */
+  private[_historyWindow]: Window|null = null;
+
+  /**
+   * The modal semantics to apply to the top element.
+   */
+  private[_ariaModal]: boolean|AriaModalOptions;
+
+  /**
+   * The live region exempted to announce the new top elements, if any.
+   */
+  private[_liveRegion]: HTMLElement|null = null;
+
+  /**
+   * The element the modal semantics were applied to, and the attributes set
+   * on it.
+   */
+  private[_ariaModalApplied]:
+      {element: HTMLElement, attributes: Array<[string, string]>}|null = null;
+
+  /**
+   * The options the instance was created with, restored by `reset`.
+   */
+  private[_initialOptions]: BlockingElementsOptions;
+
+  constructor(
+      root: Document|Element|ShadowRoot|null = null,
+      options: BlockingElementsOptions = {}) {
+    this[_root] = root;
+    this[_initialOptions] = {...options};
+    this[_strategy] = options.strategy || new InertBlockingStrategy();
+    this[_disconnectPolicy] = options.disconnectPolicy || 'remove';
+    this[_scrollLock] = !!options.scrollLock;
+    this[_layers] = options.layers || ['default', 'system'];
+    this[_ariaModal] = options.ariaModal || false;
+    this[_handleTouchMove] = this[_handleTouchMove].bind(this);
+    this[_refreshTop] = this[_refreshTop].bind(this);
+  }
+
+  destructor(): void {
+    this.dispose();
+  }
+
+  reset(options: ResetOptions = {}): void {
+    const oldTop = this.top;
+    const elems = this[_blockingElements];
+    // Restore original inertness, stop listening for slot changes.
+    this[_topChanged](null);
+    if (options.configuration) {
+      const initial = this[_initialOptions];
+      // Nothing is blocked anymore, the strategy can be replaced as is.
+      this[_strategy] = initial.strategy || new InertBlockingStrategy();
+      this[_scrollLock] = !!initial.scrollLock;
+      this[_ariaModal] = initial.ariaModal || false;
+      this[_exemptions].clear();
+      // The live region is exempted again by the next `push`.
+      this[_liveRegion] = null;
+    }
+    this[_blockingElements] = [];
+    this[_entries].clear();
+    this[_dormant].clear();
+    this[_pendingFocus] = [];
+    // Stop observing since there are no blocking elements.
+    this[_observeEntries]();
+    this[_updateDismissListener]();
+    this[_releaseHistoryEntries](null);
+    for (let i = elems.length - 1; i >= 0; i--) {
+      this[_notify](elems[i], 'unblocked', oldTop);
+    }
+    // Within `batch`, the event is fired at its end.
+    if (oldTop && !this[_batchDepth]) {
+      this[_notifyTopChange](oldTop);
+    }
+  }
+
+  dispose(): void {
+    if (this[_disposed]) {
+      return;
+    }
+    this.reset();
+    this[_disposed] = true;
+  }
+
+  get top(): HTMLElement|null {
+    const elems = this[_blockingElements];
+    const dormant = this[_dormant];
+    for (let i = elems.length - 1; i >= 0; i--) {
+      if (!dormant.has(elems[i])) {
+        return elems[i];
+      }
+    }
+    return null;
+  }
+
+  get strategy(): BlockingStrategy {
+    return this[_strategy];
+  }
+
+  set strategy(strategy: BlockingStrategy) {
+    this[_assertNotDisposed]();
+    // The top element the blocked elements were updated for, which is not the
+    // current top during `batch`.
+    const top = this[_topElParents][0] || null;
+    // Unblock with the old strategy, then block again with the new one.
+    top && this[_topChanged](null);
+    this[_strategy] = strategy;
+    top && this[_topChanged](top);
+  }
+
+  get scrollLock(): boolean {
+    return this[_scrollLock];
+  }
+
+  set scrollLock(scrollLock: boolean) {
+    this[_assertNotDisposed]();
+    this[_scrollLock] = scrollLock;
+    this[_updateScrollLock]();
+  }
+
+  get ariaModal(): boolean|AriaModalOptions {
+    return this[_ariaModal];
+  }
+
+  set ariaModal(ariaModal: boolean|AriaModalOptions) {
+    this[_assertNotDisposed]();
+    this[_ariaModal] = ariaModal;
+    this[_updateLiveRegion]();
+    this[_updateAriaModal]();
+  }
+
+  push(element: HTMLElement, options: PushOptions = {}): void {
+    this[_assertNotDisposed]();
+    if (!element) {
+      return;
+    }
+    this[_assertInRoot](element);
+    this[_updateLiveRegion]();
+    const oldTop = this.top;
+    const batching = this[_batchDepth] > 0;
+    const elems = this[_blockingElements];
+    const entries = this[_entries];
+    const i = elems.indexOf(element);
+    const previous = i !== -1 ? entries.get(element)! : null;
+    // Elements pushed again stay in their layer unless another one is given.
+    const layer = previous && options.layer === undefined ?
+        previous.layer :
+        this[_getLayer](options);
+    // Save the focused element before it gets inerted. Once in the stack, the
+    // focused element is likely within the stack and not the one to restore.
+    const focusToRestore =
+        previous ? previous.focusToRestore : this[_getDeepActiveElement]();
+    // Remove it from the stack, we'll insert it above the elements of the
+    // same or lower layers.
+    i !== -1 && elems.splice(i, 1);
+    let j = elems.length;
+    while (j > 0 && entries.get(elems[j - 1])!.layer > layer) {
+      j--;
+    }
+    elems.splice(j, 0, element);
+    this[_dormant].delete(element);
+    entries.set(element, {
+      options: previous ? {...previous.options, ...options} : options,
+      focusToRestore,
+      order: pushCount++,
+      layer,
+      // The focus moves when the element becomes the top, which the top
+      // element pushed again already is.
+      initialFocusPending: !!options.initialFocus && element !== oldTop,
+    });
+    this[_observeEntries]();
+    this[_updateDismissListener]();
+    options.history && this[_addHistoryEntry](element);
+    const topChanged = this.top !== oldTop;
+    if (!batching) {
+      if (topChanged) {
+        this[_topChanged](this.top);
+      } else {
+        this[_refreshExemptions]();
+      }
+    }
+    // Notify only elements that were not already in the stack.
+    i === -1 && this[_notify](element, 'blocked', oldTop);
+    if (topChanged && !batching) {
+      this[_notifyTopChange](oldTop);
+    }
+  }
+
+  remove(element: HTMLElement): boolean {
+    const i = this[_blockingElements].indexOf(element);
+    if (i === -1) {
+      return false;
+    }
+    const oldTop = this.top;
+    const batching = this[_batchDepth] > 0;
+    // The element below the top might have been disconnected without the
+    // MutationObserver being notified yet, e.g. along with the top. Apply the
+    // disconnect policy first, so that the new top element is connected.
+    if (!batching && element === oldTop && !this[_isConnectedBelow](i)) {
+      this.batch(() => {
+        this.remove(element);
+        this[_applyDisconnectPolicy]();
+      });
+      return true;
+    }
+    const entry = this[_entries].get(element);
+    this[_blockingElements].splice(i, 1);
+    this[_entries].delete(element);
+    this[_dormant].delete(element);
+    this[_observeEntries]();
+    this[_updateDismissListener]();
+    this[_releaseHistoryEntries](element);
+    // Top changed only if the removed element was the top element.
+    if (oldTop !== this.top && !batching) {
+      this[_topChanged](this.top);
+    }
+    if (entry && entry.options.restoreFocus) {
+      this[_whenApplied](() => this[_restoreFocus](entry.focusToRestore));
+    }
+    this[_notify](element, 'unblocked', oldTop);
+    if (oldTop !== this.top && !batching) {
+      this[_notifyTopChange](oldTop);
+    }
+    return true;
+  }
+
+  pop(): HTMLElement|null {
+    const top = this.top;
+    top && this.remove(top);
+    return top;
+  }
+
+  has(element: HTMLElement): boolean {
+    return this[_blockingElements].indexOf(element) !== -1;
+  }
+
+  batch(callback: () => void): void {
+    this[_assertNotDisposed]();
+    if (this[_batchDepth]++ === 0) {
+      this[_batchOldTop] = this.top;
+    }
+    try {
+      callback();
+    } finally {
+      if (--this[_batchDepth] === 0) {
+        this[_flush]();
+      }
+    }
+  }
+
+  inspect(): BlockingElementsSnapshot {
+    const exempted = new Set<HTMLElement>();
+    for (const chain of this[_exemptChains]) {
+      chain.forEach((el) => exempted.add(el));
+    }
+    return {
+      entries: this[_blockingElements].map((element) => {
+        const options = {...this[_entries].get(element)!.options};
+        if (options.exemptions) {
+          options.exemptions = options.exemptions.slice();
+        }
+        return {element, options, dormant: this[_dormant].has(element)};
+      }),
+      path: this[_topElParents].slice(),
+      blocked: Array.from(this[_getBlocked]()),
+      alreadyBlocked: Array.from(this[_alreadyInertElements]),
+      distributed: Array.from(this[_topDistributed] || []),
+      exempted: Array.from(exempted),
+    };
+  }
+
+  isBlockedBy(node: Node): HTMLElement|null {
+    const blocked = this[_getBlocked]();
+    let current: Node|null = node;
+    while (current) {
+      if (blocked.has(current as HTMLElement)) {
+        return this[_topElParents][0];
+      }
+      current = (current as HTMLElement).assignedSlot || current.parentNode ||
+          (current as ShadowRoot).host || null;
+    }
+    return null;
+  }
+
+  addExemption(target: HTMLElement|string): void {
+    this[_assertNotDisposed]();
+    this[_exemptions].add(target);
+    this[_observeEntries]();
+    this[_refreshExemptions]();
+  }
+
+  removeExemption(target: HTMLElement|string): void {
+    this[_exemptions].delete(target);
+    this[_observeEntries]();
+    this[_refreshExemptions]();
+  }
+
+  /**
+   * Returns false if the highest non-dormant blocking element below the index
+   * is not within the root anymore.
+   */
+  private[_isConnectedBelow](index: number): boolean {
+    const elems = this[_blockingElements];
+    for (let i = index - 1; i >= 0; i--) {
+      if (!this[_dormant].has(elems[i])) {
+        return this[_isInRoot](elems[i]);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns the layer requested with the push options as a number. Throws if
+   * the layer is unknown.
+   */
+  private[_getLayer](options: PushOptions): number {
+    const layer = options.layer === undefined ? 0 : options.layer;
+    if (typeof layer === 'number') {
+      return layer;
+    }
+    const index = this[_layers].indexOf(layer);
+    if (index === -1) {
+      throw Error(`Unknown layer: ${layer}`);
+    }
+    return index;
+  }
+
+  /**
+   * Throws if `dispose` was called.
+   */
+  private[_assertNotDisposed](): void {
+    if (this[_disposed]) {
+      throw Error('BlockingElements instance has been disposed');
+    }
+  }
+
+  /**
+   * Runs the callback once the blocked elements are updated, i.e. right away
+   * unless within `batch`.
+   */
+  private[_whenApplied](callback: () => void): void {
+    if (this[_batchDepth]) {
+      this[_pendingFocus].push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Updates the blocked elements at the end of `batch`, diffing the final top
+   * element against the one they were updated for, then runs the deferred
+   * focus changes and fires `blockingelementschange`.
+   */
+  private[_flush](): void {
+    const oldTop = this[_batchOldTop];
+    this[_batchOldTop] = null;
+    const top = this.top;
+    const appliedTop = this[_topElParents][0] || null;
+    if (top !== appliedTop) {
+      // A top disconnected during the batch is handled by _updateEntries.
+      if (!top || this[_isInRoot](top)) {
+        this[_topChanged](top);
+      }
+    } else {
+      this[_refreshExemptions]();
+    }
+    const pendingFocus = this[_pendingFocus];
+    this[_pendingFocus] = [];
+    pendingFocus.forEach((callback) => callback());
+    if (oldTop !== top) {
+      this[_notifyTopChange](oldTop);
+    }
+  }
+
+  /**
+   * Registers this instance for the dismissal listener of the document if an
+   * entry has to be dismissed, unregisters it otherwise.
+   */
+  private[_updateDismissListener](): void {
+    let dismissable = false;
+    for (const {options} of this[_entries].values()) {
+      if (options.dismissOnEscape || options.dismissOnOutsidePointer) {
+        dismissable = true;
+        break;
+      }
+    }
+    const registeredDoc = this[_dismissDoc];
+    if (dismissable === !!registeredDoc) {
+      return;
+    }
+    const dismissables = BlockingElementsImpl[_dismissables];
+    const listener = BlockingElementsImpl[_handleDismissEvent];
+    if (dismissable) {
+      const doc = this[_getRoot]().ownerDocument!;
+      let instances = dismissables.get(doc);
+      if (!instances) {
+        instances = new Set();
+        dismissables.set(doc, instances);
+        doc.addEventListener('keydown', listener);
+        doc.addEventListener('pointerdown', listener);
+      }
+      instances.add(this);
+      this[_dismissDoc] = doc;
+      return;
+    }
+    // Unregister from the document registered to, the root might have moved.
+    this[_dismissDoc] = null;
+    const instances = dismissables.get(registeredDoc!)!;
+    instances.delete(this);
+    if (!instances.size) {
+      dismissables.delete(registeredDoc!);
+      registeredDoc!.removeEventListener('keydown', listener);
+      registeredDoc!.removeEventListener('pointerdown', listener);
+    }
+  }
+
+  /**
+   * Dismisses the most recently pushed top element, among the ones to be
+   * dismissed by the event. Pointer events within a top element or an exempt
+   * region of its instance don't dismiss it; the composed path is used, so
+   * that events from within shadow roots are not considered outside.
+   */
+  private static[_handleDismissEvent](event: Event): void {
+    let reason: DismissDetail['reason'];
+    if (event.type === 'keydown') {
+      const key = (event as KeyboardEvent).key;
+      if (key !== 'Escape' && key !== 'Esc') {
+        return;
+      }
+      reason = 'escape';
+    } else {
+      reason = 'outside-pointer';
+    }
+    const instances = BlockingElementsImpl[_dismissables].get(
+        event.currentTarget as Document);
+    const path = event.composedPath();
+    let toDismiss: BlockingElementsImpl|null = null;
+    let order = -1;
+    for (const instance of instances || []) {
+      const top = instance.top;
+      const entry = top && instance[_entries].get(top);
+      if (!entry || entry.order < order) {
+        continue;
+      }
+      if (reason === 'escape' && !entry.options.dismissOnEscape) {
+        continue;
+      }
+      if (reason === 'outside-pointer' &&
+          (!entry.options.dismissOnOutsidePointer ||
+           path.indexOf(top!) !== -1 ||
+           instance[_exemptChains].some(
+               (chain) => path.indexOf(chain[0]) !== -1))) {
+        continue;
+      }
+      toDismiss = instance;
+      order = entry.order;
+    }
+    toDismiss && toDismiss[_dismiss](reason);
+  }
+
+  /**
+   * Fires a cancelable `dismiss` event on the top element, and removes it
+   * unless the event is canceled.
+   */
+  private[_dismiss](reason: DismissDetail['reason']): void {
+    const top = this.top!;
+    const detail: DismissDetail = {reason};
+    const event = new CustomEvent('dismiss', {cancelable: true, detail});
+    if (top.dispatchEvent(event)) {
+      this.remove(top);
+    }
+  }
+
+  /**
+   * Adds a history entry for the element, unless it has one already.
+   */
+  private[_addHistoryEntry](element: HTMLElement): void {
+    const win = this[_getRoot]().ownerDocument!.defaultView;
+    if (!win) {
+      return;
+    }
+    this[_historyWindow] = win;
+    const histories = BlockingElementsImpl[_histories];
+    let record = histories.get(win);
+    if (!record) {
+      record = {entries: [], traversals: 0, scheduled: false};
+      histories.set(win, record);
+      win.addEventListener('popstate', BlockingElementsImpl[_handlePopState]);
+    }
+    const entries = record.entries;
+    if (entries.some(
+            (entry) =>
+                entry.blockingElements === this && entry.element === element)) {
+      return;
+    }
+    entries.push({
+      blockingElements: this,
+      element,
+      token: historyCount++,
+      pushed: false
+    });
+    BlockingElementsImpl[_scheduleHistorySync](win);
+  }
+
+  /**
+   * Marks the history entries of the element (of all the elements if null) as
+   * removed, so that they get consumed.
+   */
+  private[_releaseHistoryEntries](element: HTMLElement|null): void {
+    // Only instances that added history entries have some to release.
+    const win = this[_historyWindow];
+    const record = win && BlockingElementsImpl[_histories].get(win);
+    if (!record) {
+      return;
+    }
+    let released = false;
+    for (const entry of record.entries) {
+      if (entry.blockingElements === this && entry.element &&
+          (!element || entry.element === element)) {
+        entry.element = null;
+        released = true;
+      }
+    }
+    released && BlockingElementsImpl[_scheduleHistorySync](win!);
+  }
+
+  /**
+   * Syncs the session history at the next microtask, so that the entries
+   * removed at once are consumed with a single traversal.
+   */
+  private static[_scheduleHistorySync](win: Window): void {
+    const record = BlockingElementsImpl[_histories].get(win)!;
+    if (record.scheduled) {
+      return;
+    }
+    record.scheduled = true;
+    Promise.resolve().then(() => {
+      record.scheduled = false;
+      BlockingElementsImpl[_syncHistory](win);
+    });
+  }
+
+  /**
+   * Goes back through the removed entries at the end of the session history,
+   * or adds the entries not added yet. Entries are not added while going back,
+   * as that would change the destination of the traversal.
+   */
+  private static[_syncHistory](win: Window): void {
+    const histories = BlockingElementsImpl[_histories];
+    const record = histories.get(win);
+    if (!record) {
+      return;
+    }
+    const entries = record.entries;
+    let toConsume = 0;
+    while (entries.length && !entries[entries.length - 1].element) {
+      entries.pop()!.pushed && toConsume++;
+    }
+    if (toConsume) {
+      record.traversals++;
+      win.history.go(-toConsume);
+    } else if (!record.traversals) {
+      for (const entry of entries) {
+        if (!entry.pushed) {
+          entry.pushed = true;
+          win.history.pushState({[historyStateKey]: entry.token}, '');
+        }
+      }
+    }
+    if (!entries.length && !record.traversals && !record.scheduled) {
+      histories.delete(win);
+      win.removeEventListener(
+          'popstate', BlockingElementsImpl[_handlePopState]);
+    }
+  }
+
+  /**
+   * Removes the elements whose history entries were navigated back through.
+   */
+  private static[_handlePopState](event: PopStateEvent): void {
+    const win = event.currentTarget as Window;
+    const record = BlockingElementsImpl[_histories].get(win);
+    if (!record) {
+      return;
+    }
+    const entries = record.entries;
+    const state = event.state;
+    const token = state && state[historyStateKey];
+    if (record.traversals) {
+      // Started by `_syncHistory`, the entries are up to date.
+      record.traversals--;
+    } else if (
+        typeof token === 'number' && entries.length &&
+        token > entries[entries.length - 1].token) {
+      // Navigated forward to an entry already consumed, skip it.
+      record.traversals++;
+      win.history.back();
+      return;
+    } else {
+      let i = entries.length;
+      while (i > 0 && entries[i - 1].token !== token) {
+        i--;
+      }
+      // The entries after the current one are gone, remove their elements
+      // starting from the most recent one.
+      const removed = entries.splice(i);
+      for (let j = removed.length - 1; j >= 0; j--) {
+        const {blockingElements, element} = removed[j];
+        element && blockingElements.remove(element);
+      }
+    }
+    BlockingElementsImpl[_syncHistory](win);
+  }
+
+  /**
+   * Locks or unlocks the scroll according to the new top element, then fires
+   * `blockingelementschange`.
+   */
+  private[_notifyTopChange](oldTop: HTMLElement|null): void {
+    this[_updateScrollLock]();
+    this[_updateAriaModal]();
+    const top = this.top;
+    const entry = top && this[_entries].get(top);
+    if (entry && entry.initialFocusPending) {
+      entry.initialFocusPending = false;
+      this[_focusInitial](
+          top!, entry.options.initialFocus as true | HTMLElement);
+    }
+    this[_notify](this[_getEventTarget](), 'blockingelementschange', oldTop);
+  }
+
+  /**
+   * Moves the modal semantics to the top element if enabled, and announces
+   * the top element if it changed.
+   */
+  private[_updateAriaModal](): void {
+    const applied = this[_ariaModalApplied];
+    const ariaModal = this[_ariaModal];
+    const options: AriaModalOptions =
+        typeof ariaModal === 'object' ? ariaModal : {};
+    const top = ariaModal ? this.top : null;
+    // Restore the attributes unless someone else changed them meanwhile.
+    if (applied) {
+      for (const [name, value] of applied.attributes) {
+        if (applied.element.getAttribute(name) === value) {
+          applied.element.removeAttribute(name);
+        }
+      }
+      this[_ariaModalApplied] = null;
+    }
+    if (!top) {
+      return;
+    }
+    const toSet: Array<[string, string]> = [['aria-modal', 'true']];
+    options.role && toSet.push(['role', 'dialog']);
+    const attributes: Array<[string, string]> = [];
+    for (const [name, value] of toSet) {
+      if (!top.hasAttribute(name)) {
+        top.setAttribute(name, value);
+        attributes.push([name, value]);
+      }
+    }
+    this[_ariaModalApplied] = {element: top, attributes};
+    if (options.announce && (!applied || applied.element !== top)) {
+      this[_announce](top);
+    }
+  }
+
+  /**
+   * Announces the label of the element, if any, through the live region of
+   * its document.
+   */
+  private[_announce](element: HTMLElement): void {
+    const label = getLabel(element);
+    if (!label) {
+      return;
+    }
+    const region = this[_liveRegion];
+    region && (region.textContent = label);
+  }
+
+  /**
+   * Appends and exempts the live region while announcements are enabled,
+   * removes the exemption otherwise. Called before the top element changes,
+   * so that the region is already exempted when its text is set: a region
+   * that was just inserted or blocked might not be read.
+   */
+  private[_updateLiveRegion](): void {
+    const ariaModal = this[_ariaModal];
+    const announce = typeof ariaModal === 'object' && !!ariaModal.announce;
+    const region = this[_liveRegion];
+    if (!announce) {
+      if (region) {
+        this[_liveRegion] = null;
+        this.removeExemption(region);
+      }
+      return;
+    }
+    if (region && region.isConnected) {
+      return;
+    }
+    const newRegion = getLiveRegion(this[_getRoot]().ownerDocument!);
+    this[_liveRegion] = newRegion;
+    // Handle the insertion right away rather than blocking the region once
+    // the observer gets notified.
+    const mo = this[_mo];
+    mo && this[_handleMutations](mo.takeRecords());
+    this.addExemption(newRegion);
+  }
+
+  /**
+   * Locks the scrolling root if enabled and there is a top element, unlocks it
+   * otherwise.
+   */
+  private[_updateScrollLock](): void {
+    const locked = this[_scrollLocked];
+    const lock = this[_scrollLock] && !!this.top;
+    if (lock === !!locked) {
+      return;
+    }
+    if (locked) {
+      unlockScroll(locked);
+      locked.ownerDocument!.removeEventListener(
+          'touchmove', this[_handleTouchMove], true);
+      this[_scrollLocked] = null;
+      return;
+    }
+    const scrollingRoot = this[_getScrollingRoot]();
+    lockScroll(scrollingRoot);
+    // Touch scrolling is not prevented by hiding the overflow everywhere.
+    scrollingRoot.ownerDocument!.addEventListener(
+        'touchmove', this[_handleTouchMove], {capture: true, passive: false});
+    this[_scrollLocked] = scrollingRoot;
+  }
+
+  /**
+   * Returns the element scrolled to see the root: the document's scrolling
+   * element for `document.body`, the root or its host otherwise.
+   */
+  private[_getScrollingRoot](): HTMLElement {
+    const root = this[_getRoot]();
+    const doc = root.ownerDocument!;
+    if (root === doc.body) {
+      return (doc.scrollingElement || doc.documentElement) as HTMLElement;
+    }
+    return ((root as ShadowRoot).host || root) as HTMLElement;
+  }
+
+  /**
+   * Prevents touch scrolling within the locked scrolling root, except within
+   * the top element.
+   */
+  private[_handleTouchMove](event: Event): void {
+    const top = this.top;
+    const path = event.composedPath();
+    if (top && path.indexOf(top) === -1 &&
+        path.indexOf(this[_scrollLocked]!) !== -1) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Fires an event of the given type on the target, carrying the old top and
+   * the current top as `BlockingElementsChangeDetail`.
+   */
+  private[_notify](target: EventTarget, type: string, oldTop: HTMLElement|null):
+      void {
+    const detail: BlockingElementsChangeDetail = {oldTop, newTop: this.top};
+    target.dispatchEvent(new CustomEvent(type, {detail}));
+  }
+
+  /**
+   * Returns the focused element, looking into shadow roots. Returns null if
+   * nothing is focused.
+   */
+  private[_getDeepActiveElement](): HTMLElement|null {
+    const doc = this[_getRoot]().ownerDocument!;
+    let active = doc.activeElement as HTMLElement | null;
+    if (!active || active === doc.body) {
+      return null;
+    }
+    while (active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement as HTMLElement;
+    }
+    return active;
+  }
+
+  /**
+   * Moves focus into the element, either on the requested element or on the
+   * first `autofocus` or focusable element of its composed tree, falling back
+   * to the element itself.
+   */
+  private[_focusInitial](element: HTMLElement, initialFocus: true|HTMLElement):
+      void {
+    let toFocus: HTMLElement|null = null;
+    if (initialFocus === true) {
+      toFocus = this[_findInComposedTree](
+          element,
+          (el) => el.hasAttribute('autofocus') && this[_isFocusable](el));
+      toFocus = toFocus ||
+          this[_findInComposedTree](element, (el) => this[_isFocusable](el));
+      if (!toFocus && this[_isFocusable](element)) {
+        toFocus = element;
+      }
+    } else {
+      toFocus = initialFocus;
+    }
+    toFocus && toFocus.focus();
+  }
+
+  /**
+   * Focuses the element if it's still connected and not inert.
+   */
+  private[_restoreFocus](element: HTMLElement|null): void {
+    if (element && element.isConnected && !this[_isInert](element)) {
+      element.focus();
+    }
+  }
+
+  /**
+   * Returns the first element of the composed tree of the root (excluded)
+   * that satisfies the predicate. The tree is walked in the flattened order,
+   * so shadow roots are visited in place of their host's children, and slots
+   * are visited in place of their assigned nodes.
+   */
+  private[_findInComposedTree](
+      root: HTMLElement,
+      predicate: (element: HTMLElement) => boolean): HTMLElement|null {
+    let children: ArrayLike<Node>;
+    if (root.shadowRoot) {
+      children = root.shadowRoot.childNodes;
+    } else if (
+        root.localName === 'slot' && (root.getRootNode() as ShadowRoot).host) {
+      children = (root as HTMLSlotElement).assignedNodes({flatten: true});
+    } else {
+      children = root.childNodes;
+    }
+    for (let i = 0; i < children.length; i++) {
+      if (children[i].nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      }
+      const child = children[i] as HTMLElement;
+      if (child.localName !== 'slot' && predicate(child)) {
+        return child;
+      }
+      const found = this[_findInComposedTree](child, predicate);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns if the element can be focused with sequential focus navigation.
+   */
+  private[_isFocusable](element: HTMLElement): boolean {
+    return element.matches(focusableSelector) &&
+        !(element as HTMLButtonElement).disabled &&
+        element.getAttribute('tabindex') !== '-1' && !this[_isInert](element);
+  }
+
+  /**
+   * Returns if the element or one of its ancestors in the flattened tree is
+   * inert, or blocked by the strategy.
+   */
+  private[_isInert](element: HTMLElement): boolean {
+    const blocked = this[_getBlocked]();
+    let current: Node|null = element;
+    while (current) {
+      if ((current as Inertable).inert || blocked.has(current as HTMLElement) ||
+          (current.nodeType === Node.ELEMENT_NODE &&
+           this[_strategy].isBlocked(current as HTMLElement))) {
+        return true;
+      }
+      current = (current as HTMLElement).assignedSlot || current.parentNode ||
+          (current as ShadowRoot).host || null;
+    }
+    return false;
+  }
+
+  /**
+   * Returns the elements blocked by the strategy.
+   */
+  private[_getBlocked](): Set<HTMLElement> {
+    const blocked = new Set<HTMLElement>();
+    for (const parent of this[_topElParents].concat(this[_exemptParents])) {
+      parent[_siblingsToRestore].forEach((sibling) => blocked.add(sibling));
+    }
+    return blocked;
+  }
+
+  /**
+   * Returns the root within which the blocking elements inert the interaction.
+   */
+  private[_getRoot](): Element|ShadowRoot {
+    const root = this[_root] || document;
+    return root.nodeType === Node.DOCUMENT_NODE ? (root as Document).body :
+                                                  root as Element | ShadowRoot;
+  }
+
+  /**
+   * Returns the target of the `blockingelementschange` event: the document
+   * for the instance blocking `document.body`, the root otherwise.
+   */
+  private[_getEventTarget](): EventTarget {
+    const root = this[_getRoot]();
+    const doc = root.ownerDocument!;
+    return root === doc.body ? doc : root;
+  }
+
+  /**
+   * Sets `inert` to all document elements except the new top element, its
+   * parents, and its distributed content.
+   */
+  private[_topChanged](newTop: MaybeHasInternalState|null): void {
+    const toKeepInert = this[_alreadyInertElements];
+    const oldParents = this[_topElParents];
+    // No new top, reset old top if any.
+    if (!newTop) {
+      this[_restoreExemptions]();
+      this[_restoreInertedSiblings](oldParents);
+      toKeepInert.clear();
+      this[_topElParents] = [];
+      this[_topDistributed] = null;
+      this[_listenSlotChanges](null, []);
+      return;
+    }
+
+    this[_assertInRoot](newTop);
+    // Exemptions are applied again once the new top is set.
+    this[_restoreExemptions]();
+    const newParents = this[_getParents](newTop);
+    // Cast here because we know we'll call _inertSiblings on newParents
+    // below.
+    this[_topElParents] = newParents as Array<HasInternalState>;
+
+    const toSkip = this[_getDistributedChildren](newTop);
+    this[_topDistributed] = toSkip;
+    this[_listenSlotChanges](newTop, newParents);
+
+    // No previous top element.
+    if (!oldParents.length) {
+      this[_inertSiblings](newParents, toSkip, toKeepInert);
+    } else {
+      let i = oldParents.length - 1;
+      let j = newParents.length - 1;
+      // Find common parent. Index 0 is the element itself (so stop before it).
+      while (i > 0 && j > 0 && oldParents[i] === newParents[j]) {
+        i--;
+        j--;
+      }
+      // If up the parents tree there are 2 elements that are siblings, swap
+      // the inerted sibling.
+      if (oldParents[i] !== newParents[j]) {
+        this[_swapInertedSibling](oldParents[i], newParents[j]);
+      }
+      // Restore old parents siblings inertness.
+      i > 0 && this[_restoreInertedSiblings](oldParents.slice(0, i));
+      // Make new parents siblings inert.
+      j > 0 &&
+          this[_inertSiblings](newParents.slice(0, j), toSkip, toKeepInert);
+    }
+    this[_applyExemptions](this[_resolveExemptions]());
+  }
+
+  /**
+   * Returns the exempt regions that apply to the top element, each as the
+   * list of its parents from the region (included) up to the sibling of one
+   * of the top element's parents (included). Regions containing the top
+   * element, contained in it or in another exempt region, and regions outside
+   * the root are left out.
+   */
+  private[_resolveExemptions](): HTMLElement[][] {
+    const top = this.top;
+    const entry = top && this[_entries].get(top);
+    const targets = Array.from(this[_exemptions]);
+    if (entry && entry.options.exemptions) {
+      targets.push(...entry.options.exemptions);
+    }
+    if (!targets.length || !this[_topElParents].length) {
+      return [];
+    }
+    const root = this[_getRoot]();
+    const regions = new Set<HTMLElement>();
+    for (const target of targets) {
+      if (typeof target === 'string') {
+        const found = root.querySelectorAll<HTMLElement>(target);
+        for (let i = 0; i < found.length; i++) {
+          regions.add(found[i]);
+        }
+      } else {
+        regions.add(target);
+      }
+    }
+    const topParents = new Set<Node>(this[_topElParents]);
+    const topParentsParents =
+        new Set<Node|null>(this[_topElParents].map((el) => el.parentNode));
+    const chains = [];
+    for (const region of regions) {
+      const parents = this[_getParents](region);
+      const end = parents.findIndex(
+          (el) => topParents.has(el) || topParentsParents.has(el.parentNode));
+      // Outside the root, containing the top element or contained in it.
+      if (end === -1 || topParents.has(parents[end])) {
+        continue;
+      }
+      const chain = parents.slice(0, end + 1);
+      // Contained in another exempt region.
+      if (chain.some((el, i) => i > 0 && regions.has(el))) {
+        continue;
+      }
+      chains.push(chain);
+    }
+    return chains;
+  }
+
+  /**
+   * Keeps the exempt regions and their parents interactive, and inerts the
+   * siblings of their parents. Regions whose topmost parent was not inerted,
+   * e.g. because already inert, are left as they are.
+   */
+  private[_applyExemptions](chains: HTMLElement[][]): void {
+    const strategy = this[_strategy];
+    const owners = new Map<Node, HasInternalState>();
+    for (const parent of this[_topElParents]) {
+      owners.set(parent.parentNode!, parent);
+    }
+    const applied = [];
+    const toSkip = new Set<HTMLElement>();
+    // The parents of the regions, one per parent node.
+    const toInert = new Map<Node, HTMLElement>();
+    for (const chain of chains) {
+      const sibling = chain[chain.length - 1];
+      const owner = owners.get(sibling.parentNode!)!;
+      const exempted = this[_exemptedSiblings];
+      if (!exempted.has(sibling)) {
+        if (!owner[_siblingsToRestore].has(sibling)) {
+          continue;
+        }
+        strategy.unblock(sibling);
+        owner[_siblingsToRestore].delete(sibling);
+        exempted.set(sibling, owner);
+      }
+      applied.push(chain);
+      for (let i = 0; i < chain.length; i++) {
+        toSkip.add(chain[i]);
+        i < chain.length - 1 && toInert.set(chain[i].parentNode!, chain[i]);
+      }
+    }
+    const elements = Array.from(toInert.values());
+    this[_inertSiblings](elements, toSkip, this[_alreadyInertElements]);
+    this[_exemptParents] = elements as HasInternalState[];
+    this[_exemptChains] = applied;
+  }
+
+  /**
+   * Restores the inertness changed by `_applyExemptions`. The siblings of the
+   * top element's parents kept interactive are blocked again.
+   */
+  private[_restoreExemptions](): void {
+    const strategy = this[_strategy];
+    this[_restoreInertedSiblings](this[_exemptParents]);
+    this[_exemptParents] = [];
+    this[_exemptChains] = [];
+    for (const [sibling, owner] of this[_exemptedSiblings]) {
+      const siblings = owner[_siblingsToRestore];
+      // Unless it was removed meanwhile.
+      if (siblings && sibling.parentNode === owner.parentNode) {
+        strategy.block(sibling);
+        siblings.add(sibling);
+      }
+    }
+    this[_exemptedSiblings].clear();
+  }
+
+  /**
+   * Applies the exemptions again if the exempt regions or their parents
+   * changed, e.g. because exemptions were added, or because elements matching
+   * the selectors got connected.
+   */
+  private[_refreshExemptions](): void {
+    const chains = this[_resolveExemptions]();
+    const current = this[_exemptChains];
+    const same = chains.length === current.length &&
+        chains.every(
+            (chain, i) => chain.length === current[i].length &&
+                chain.every((el, j) => el === current[i][j]));
+    if (same) {
+      return;
+    }
+    this[_restoreExemptions]();
+    this[_applyExemptions](chains);
+  }
+
+  /**
+   * Listens for `slotchange` events in the shadow roots where slot assignment
+   * affects the top element: the shadow roots of the hosts of the top element
+   * and of its parents, and the top element's own shadow root. Stops listening
+   * on the previously listened shadow roots.
+   * Changes of the `slot` attribute of an element, or of the `name` of a slot,
+   * also result in `slotchange` events.
+   */
+  private[_listenSlotChanges](top: HTMLElement|null, parents: HTMLElement[]):
+      void {
+    const roots = new Set<ShadowRoot>();
+    for (const parent of parents) {
+      const host = parent.parentNode as Element | null;
+      if (host && host.shadowRoot) {
+        roots.add(host.shadowRoot);
+      }
+    }
+    if (top && top.shadowRoot) {
+      roots.add(top.shadowRoot);
+    }
+    for (const root of this[_slotRoots]) {
+      if (!roots.has(root)) {
+        root.removeEventListener('slotchange', this[_refreshTop]);
+      }
+    }
+    for (const root of roots) {
+      if (!this[_slotRoots].has(root)) {
+        root.addEventListener('slotchange', this[_refreshTop]);
+      }
+    }
+    this[_slotRoots] = roots;
+  }
+
+  /**
+   * Updates the inertness if the parents or the distributed children of the
+   * top element changed, e.g. because of slot assignment changes or because
+   * the top element moved.
+   */
+  private[_refreshTop](): void {
+    const top = this.top;
+    if (!top) {
+      return;
+    }
+    const oldParents = this[_topElParents];
+    const newParents = this[_getParents](top);
+    const oldDistributed = this[_topDistributed];
+    const newDistributed = this[_getDistributedChildren](top);
+    const sameParents = oldParents.length === newParents.length &&
+        newParents.every((parent, i) => parent === oldParents[i]);
+    const sameDistributed = !oldDistributed || !newDistributed ?
+        oldDistributed === newDistributed :
+        oldDistributed.size === newDistributed.size &&
+            Array.from(newDistributed).every((el) => oldDistributed.has(el));
+    if (sameParents && sameDistributed) {
+      return;
+    }
+    // Recompute the inertness from scratch.
+    this[_topChanged](null);
+    this[_topChanged](top);
+  }
+
+  /**
+   * Throws if the element can't be a blocking element since it's not
+   * contained in the root.
+   */
+  private[_assertInRoot](element: HTMLElement): void {
+    if (!this[_isInRoot](element)) {
+      if (!element.isConnected) {
+        throw Error('Non-connected element cannot be a blocking element');
+      }
+      throw Error('Element outside the root cannot be a blocking element');
+    }
+  }
+
+  /**
+   * Returns if the element is contained in the root.
+   */
+  private[_isInRoot](element: HTMLElement): boolean {
+    const parents = this[_getParents](element);
+    const lastParent = parents[parents.length - 1];
+    return !!lastParent && lastParent.parentNode === this[_getRoot]();
+  }
+
+  /**
+   * Observes the parents of the blocking elements, to notice when they get
+   * disconnected or moved, and the parents of the elements whose siblings are
+   * inerted, or stops observing if there are no blocking elements. The
+   * subtrees of the root and of the shadow roots containing the blocking
+   * elements are observed only while needed, see `_needsSubtree`.
+   * Nodes not needed anymore stay observed until the observed nodes have to
+   * shrink, in which case the observer is reset and the pending records are
+   * handled at the next microtask.
+   */
+  private[_observeEntries](): void {
+    const mo = this[_mo];
+    const targets = this[_moTargets];
+    if (!this[_blockingElements].length) {
+      mo && mo.disconnect();
+      targets.clear();
+      return;
+    }
+    const toObserve = new Map<Node, boolean>();
+    for (const element of this[_blockingElements]) {
+      for (const parent of this[_getParents](element)) {
+        parent.parentNode && toObserve.set(parent.parentNode, false);
+      }
+    }
+    for (const parent of this[_getInertedChildren]().keys()) {
+      toObserve.set(parent, false);
+    }
+    if (this[_needsSubtree]()) {
+      const root = this[_getRoot]();
+      toObserve.set(root, true);
+      for (const element of this[_blockingElements]) {
+        let node: Node = element.getRootNode();
+        while (node !== root && (node as ShadowRoot).host) {
+          toObserve.set(node, true);
+          node = (node as ShadowRoot).host.getRootNode();
+        }
+      }
+    }
+    let shrinks = false;
+    for (const [node, subtree] of targets) {
+      const needed = toObserve.get(node);
+      if (needed === undefined || (subtree && !needed)) {
+        shrinks = true;
+        break;
+      }
+    }
+    if (mo && shrinks) {
+      const records = mo.takeRecords();
+      mo.disconnect();
+      targets.clear();
+      records.length && Promise.resolve().then(() => {
+        this[_disposed] || this[_handleMutations](records);
+      });
+    }
+    for (const [node, subtree] of toObserve) {
+      this[_observe](node, subtree);
+    }
+  }
+
+  /**
+   * Returns if the subtrees containing the blocking elements have to be
+   * observed: while there are dormant elements, which might be connected again
+   * anywhere, or exemptions given as selectors, which might match the elements
+   * connected later.
+   */
+  private[_needsSubtree](): boolean {
+    if (this[_dormant].size) {
+      return true;
+    }
+    const isSelector = (target: HTMLElement|string) =>
+        typeof target === 'string';
+    if (Array.from(this[_exemptions]).some(isSelector)) {
+      return true;
+    }
+    for (const {options} of this[_entries].values()) {
+      if (options.exemptions && options.exemptions.some(isSelector)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Observes the children of the node, or its whole subtree, unless already
+   * observed.
+   */
+  private[_observe](node: Node, subtree: boolean): void {
+    // If we're using the ShadyDOM polyfill, then the node could be a shady
+    // root, which is an object that acts like a ShadowRoot, but isn't actually
+    // a node in the real DOM. Observe the real DOM parent instead.
+    const maybeShadyRoot = node as MaybeShadyRoot;
+    if (maybeShadyRoot.__shady && maybeShadyRoot.host) {
+      node = maybeShadyRoot.host;
+    }
+    const targets = this[_moTargets];
+    if (targets.get(node) === true || targets.get(node) === subtree) {
+      return;
+    }
+    targets.set(node, subtree);
+    // Observing the node again replaces the previous options.
+    if (!this[_mo]) {
+      this[_mo] = new MutationObserver((mutations) => {
+        this[_handleMutations](mutations);
+      });
+    }
+    this[_mo]!.observe(node, {
+      childList: true,
+      subtree,
+    });
+  }
+
+  /**
+   * Applies the disconnect policy to the blocking elements disconnected from
+   * the root, reactivates the dormant ones connected again, and updates the
+   * inert elements if the top element moved.
+   */
+  private[_updateEntries](): void {
+    const oldTop = this.top;
+    if (this[_applyDisconnectPolicy]()) {
+      return;
+    }
+    // Elements might have become dormant, or been connected again.
+    this[_observeEntries]();
+    const newTop = this.top;
+    if (oldTop !== newTop) {
+      this[_topChanged](newTop);
+      this[_notifyTopChange](oldTop);
+    } else {
+      this[_refreshTop]();
+    }
+    this[_refreshExemptions]();
+  }
+
+  /**
+   * Removes the blocking elements disconnected from the root, or makes them
+   * dormant depending on the disconnect policy, and reactivates the dormant
+   * ones connected again. Returns true if the top element was removed, in
+   * which case the inert elements were updated by `remove`.
+   */
+  private[_applyDisconnectPolicy](): boolean {
+    const elems = this[_blockingElements];
+    const dormant = this[_dormant];
+    const oldTop = this.top;
+    const toRemove = [];
+    for (const element of elems) {
+      if (this[_isInRoot](element)) {
+        dormant.delete(element);
+      } else if (this[_disconnectPolicy] === 'dormant') {
+        dormant.add(element);
+      } else {
+        toRemove.push(element);
+      }
+    }
+    // Remove the top last, so that the new top is connected.
+    for (let i = toRemove.length - 1; i >= 0; i--) {
+      if (toRemove[i] !== oldTop) {
+        this.remove(toRemove[i]);
+      }
+    }
+    if (oldTop && toRemove.indexOf(oldTop) !== -1) {
+      this.remove(oldTop);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Swaps inertness between two sibling elements, using the strategy.
+   */
+  private[_swapInertedSibling](
+      oldInert: HasInternalState, newInert: MaybeHasInternalState): void {
+    const strategy = this[_strategy];
+    const siblingsToRestore = oldInert[_siblingsToRestore];
+    // oldInert is not contained in siblings to restore, so we have to check
+    // if it's inertable and if already inert.
+    if (this[_isInertable](oldInert) && !strategy.isBlocked(oldInert)) {
+      strategy.block(oldInert);
+      siblingsToRestore.add(oldInert);
+    }
+    // If newInert was already between the siblings to restore, it means it is
+    // inertable and must be restored.
+    if (siblingsToRestore.has(newInert)) {
+      strategy.unblock(newInert);
+      siblingsToRestore.delete(newInert);
+    }
+    newInert[_siblingsToRestore] = siblingsToRestore;
+    (oldInert as MaybeHasInternalState)[_siblingsToRestore] = undefined;
+  }
+
+  /**
+   * Restores original inertness to the siblings of the elements, using the
+   * strategy.
+   */
+  private[_restoreInertedSiblings](elements: HasInternalState[]) {
+    const strategy = this[_strategy];
+    for (const element of elements) {
+      const siblings = element[_siblingsToRestore];
+      for (const sibling of siblings) {
+        strategy.unblock(sibling);
+      }
+      (element as MaybeHasInternalState)[_siblingsToRestore] = undefined;
+    }
+  }
+
+  /**
+   * Inerts the siblings of the elements except the elements to skip. Stores
+   * the inerted siblings into the element's symbol `_siblingsToRestore`.
+   * Pass `toKeepInert` to collect the already inert elements.
+   * Elements are inerted using the strategy.
+   */
+  private[_inertSiblings](
+      elements: MaybeHasInternalState[], toSkip: Set<HTMLElement>|null,
+      toKeepInert: Set<HTMLElement>|null) {
+    const strategy = this[_strategy];
+    for (const element of elements) {
+      // Assume element is not a Document, so it must have a parentNode.
+      const parent = element.parentNode!;
+      const children = parent.children;
+      const inertedSiblings = new Set<HTMLElement>();
+      for (let j = 0; j < children.length; j++) {
+        const sibling = children[j] as MaybeHasInternalState;
+        // Skip the input element, if not inertable or to be skipped.
+        if (sibling === element || !this[_isInertable](sibling) ||
+            (toSkip && toSkip.has(sibling))) {
+          continue;
+        }
+        // Should be collected since already inerted.
+        if (toKeepInert && strategy.isBlocked(sibling)) {
+          toKeepInert.add(sibling);
+        } else {
+          strategy.block(sibling);
+          inertedSiblings.add(sibling);
+        }
+      }
+      // Store the siblings that were inerted.
+      element[_siblingsToRestore] = inertedSiblings;
+      // Observe only immediate children mutations on the parent.
+      this[_observe](parent, false);
+    }
+  }
+
+  /**
+   * Handles newly added/removed nodes by toggling their inertness.
+   * It then checks if the blocking elements have been removed or moved,
+   * applying the disconnect policy or updating the inert elements.
+   * Records can be older than the inerted siblings, e.g. when a parent was
+   * already observed, so only the nodes that are still added or removed are
+   * handled.
+   */
+  private[_handleMutations](mutations: MutationRecord[]): void {
+    const strategy = this[_strategy];
+    const toKeepInert = this[_alreadyInertElements];
+    const inertedChildren = this[_getInertedChildren]();
+    for (const mutation of mutations) {
+      const inertedChild = inertedChildren.get(mutation.target);
+      if (!inertedChild) {
+        continue;
+      }
+      const parent = inertedChild.parentNode;
+      const inertedSiblings = inertedChild[_siblingsToRestore];
+
+      // To restore.
+      for (let i = 0; i < mutation.removedNodes.length; i++) {
+        const sibling = mutation.removedNodes[i] as MaybeHasInternalState;
+        if (inertedSiblings.has(sibling) && sibling.parentNode !== parent) {
+          strategy.unblock(sibling);
+          inertedSiblings.delete(sibling);
+        }
+      }
+
+      // To inert.
+      for (let i = 0; i < mutation.addedNodes.length; i++) {
+        const sibling = mutation.addedNodes[i] as MaybeHasInternalState;
+        if (sibling.nodeType !== Node.ELEMENT_NODE ||
+            sibling.parentNode !== parent || sibling === inertedChild ||
+            inertedSiblings.has(sibling) || !this[_isInertable](sibling)) {
+          continue;
+        }
+        if (toKeepInert && strategy.isBlocked(sibling)) {
+          toKeepInert.add(sibling);
+        } else {
+          strategy.block(sibling);
+          inertedSiblings.add(sibling);
+        }
+      }
+    }
+    // The blocking elements or their parents might have been disconnected or
+    // moved, added nodes might contain exempt regions.
+    if (this[_affectsEntries](mutations)) {
+      this[_updateEntries]();
+    }
+  }
+
+  /**
+   * Returns true if the added or removed nodes are, or contain, blocking
+   * elements, parents of the top element or exempt regions. Other mutations
+   * of the observed subtree don't affect the entries.
+   */
+  private[_affectsEntries](mutations: MutationRecord[]): boolean {
+    const top = this.top;
+    const entry = top && this[_entries].get(top);
+    const targets = Array.from(this[_exemptions]);
+    if (entry && entry.options.exemptions) {
+      targets.push(...entry.options.exemptions);
+    }
+    const elements = new Set<Node>(this[_blockingElements]);
+    this[_topElParents].forEach((el) => elements.add(el));
+    const selectors = [];
+    for (const target of targets) {
+      if (typeof target === 'string') {
+        selectors.push(target);
+      } else {
+        elements.add(target);
+      }
+    }
+    const selector = selectors.join(',');
+    const nodes = [];
+    for (const mutation of mutations) {
+      nodes.push(...Array.from(mutation.addedNodes));
+      nodes.push(...Array.from(mutation.removedNodes));
+    }
+    return nodes.some((node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+      }
+      if (selector &&
+          ((node as Element).matches(selector) ||
+           (node as Element).querySelector(selector))) {
+        return true;
+      }
+      for (const element of elements) {
+        if (containsComposed(node, element)) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Maps the observed parents to the parent of the top element or of an exempt
+   * region whose siblings are their children.
+   */
+  private[_getInertedChildren](): Map<Node, HasInternalState> {
+    const inertedChildren = new Map<Node, HasInternalState>();
+    const elements = this[_topElParents].concat(this[_exemptParents]);
+    // We observe the host of ShadyDOM shady roots, see _observe. Map them
+    // first, so that the host's own children take precedence.
+    for (const el of elements) {
+      const parent = el.parentNode as MaybeShadyRoot | null;
+      if (parent && parent.__shady && parent.host) {
+        inertedChildren.set(parent.host, el);
+      }
+    }
+    for (const el of elements) {
+      el.parentNode && inertedChildren.set(el.parentNode, el);
+    }
+    return inertedChildren;
+  }
+
+  /**
+   * Returns if the element is inertable.
+   */
+  private[_isInertable](element: HTMLElement): boolean {
+    return false === /^(style|template|script)$/.test(element.localName);
+  }
+
+  /**
+   * Returns the list of newParents of an element, starting from element
+   * (included) up to the root (excluded).
+   */
+  private[_getParents](element: HTMLElement): Array<HTMLElement> {
+    const parents = [];
+    const root = this[_getRoot]();
+    let current: HTMLElement|null|undefined = element;
+    // Stop to root.
+    while (current && current !== root) {
+      // Skip shadow roots.
+      if (current.nodeType === Node.ELEMENT_NODE) {
+        parents.push(current);
+      }
+      // ShadowDom v1
+      if (current.assignedSlot) {
+        // Collect slots from deepest slot to top.
+        while (current = current.assignedSlot) {
+          parents.push(current);
+        }
+        // Continue the search on the top slot.
+        current = parents.pop();
+        continue;
+      }
+      current = current.parentNode as HTMLElement ||
+          (current as Node as ShadowRoot).host;
+    }
+    return parents;
+  }
+
+  /**
+   * Returns the distributed children of the element's shadow root.
+   * Returns null if the element doesn't have a shadow root.
+   */
+  private[_getDistributedChildren](element: HTMLElement):
+      Set<HTMLElement>|null {
+    const shadowRoot = element.shadowRoot;
+    if (!shadowRoot) {
+      return null;
+    }
+    const result = new Set<HTMLElement>();
+    let i;
+    let j;
+    let nodes;
+    const slots = shadowRoot.querySelectorAll('slot');
+    if (slots.length && slots[0].assignedNodes) {
+      for (i = 0; i < slots.length; i++) {
+        nodes = slots[i].assignedNodes({
+          flatten: true,
+        });
+        for (j = 0; j < nodes.length; j++) {
+          if (nodes[j].nodeType === Node.ELEMENT_NODE) {
+            result.add(nodes[j] as HTMLElement);
+          }
+        }
+      }
+      // No need to search for <content>.
+    }
+    return result;
+  }
+}
+
+/**
+ * Creates a `BlockingElements` instance that inerts the interaction only
+ * within `root`, which can be an element or a shadow root. Such instances
+ * coexist with `document.$blockingElements`, which blocks within
+ * `document.body`.
+ */
+export function createBlockingElements(
+    root: Element|ShadowRoot,
+    options?: BlockingElementsOptions): BlockingElements {
+  return new BlockingElementsImpl(root, options);
+}
+
+/**
+ * The instances created by `install`.
+ */
+const installed = new WeakMap<Document, BlockingElements>();
+
+/**
+ * Sets `doc.$blockingElements` (`doc` defaults to `document`) to a
+ * `BlockingElements` instance blocking within `doc.body`, unless it's already
+ * set. Returns `doc.$blockingElements`.
+ */
+export function install(doc: Document = document): BlockingElements {
+  const docWithBlockingElements = doc as DocumentWithBlockingElements;
+  if (!docWithBlockingElements.$blockingElements) {
+    const blockingElements = new BlockingElementsImpl(doc);
+    installed.set(doc, blockingElements);
+    docWithBlockingElements.$blockingElements = blockingElements;
+  }
+  return docWithBlockingElements.$blockingElements;
+}
+
+/**
+ * Removes `doc.$blockingElements` (`doc` defaults to `document`) if it was set
+ * by `install`, restoring the inertness of the elements it blocked.
+ */
+export function uninstall(doc: Document = document): void {
+  const blockingElements = installed.get(doc);
+  if (!blockingElements) {
+    return;
+  }
+  installed.delete(doc);
+  blockingElements.dispose();
+  const docWithBlockingElements = doc as DocumentWithBlockingElements;
+  if (docWithBlockingElements.$blockingElements === blockingElements) {
+    delete docWithBlockingElements.$blockingElements;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BlockingElementsChangeDetail, DocumentWithBlockingElements, PushOptions} from './blocking-elements-core.js';
+
+/**
+ * The members added by `BlockingMixin`.
+ */
+export interface BlockingElement extends HTMLElement {
+  /**
+   * Whether the element is pushed onto `document.$blockingElements` while
+   * connected. Reflects the `active` attribute.
+   */
+  active: boolean;
+
+  /**
+   * The options used to push the element.
+   */
+  pushOptions: PushOptions;
+}
+
+/**
+ * The lifecycle callbacks the base class of `BlockingMixin` might implement.
+ */
+interface CustomElement extends HTMLElement {
+  connectedCallback?(): void;
+  disconnectedCallback?(): void;
+  attributeChangedCallback?
+      (name: string, oldValue: string|null, newValue: string|null): void;
+}
+
+// Mixins require a constructor with a single rest parameter of type any[].
+// tslint:disable-next-line:no-any
+type Constructor<T> = new (...args: any[]) => T;
+
+/**
+ * The listeners re-firing the `blockingelementschange` events of the document,
+ * for each connected element.
+ */
+const changeListeners = new WeakMap<HTMLElement, EventListener>();
+
+/**
+ * Pushes the element if it's active and connected, removes it otherwise.
+ */
+function updateBlocking(element: BlockingElement): void {
+  const blockingElements =
+      (element.ownerDocument as DocumentWithBlockingElements).$blockingElements;
+  if (!blockingElements) {
+    return;
+  }
+  if (element.active && element.isConnected) {
+    blockingElements.has(element) ||
+        blockingElements.push(element, element.pushOptions);
+  } else {
+    blockingElements.remove(element);
+  }
+}
+
+/**
+ * `BlockingMixin` makes a custom element push itself onto
+ * `document.$blockingElements` while it has the `active` attribute and is
+ * connected, and remove itself otherwise. The `blockingelementschange` events
+ * of the document are fired again on the element as `blockingchange` events
+ * while it's connected, with the same `detail`.
+ *
+ *     class XDialog extends BlockingMixin(HTMLElement) {}
+ */
+export function BlockingMixin<T extends Constructor<CustomElement>>(Base: T): T&
+    Constructor<BlockingElement> {
+  return class extends Base {
+    pushOptions: PushOptions = {};
+
+    static get observedAttributes(): string[] {
+      const observed =
+          (Base as {observedAttributes?: string[]}).observedAttributes || [];
+      return observed.concat('active');
+    }
+
+    get active(): boolean {
+      return this.hasAttribute('active');
+    }
+
+    set active(active: boolean) {
+      if (active) {
+        this.setAttribute('active', '');
+      } else {
+        this.removeAttribute('active');
+      }
+    }
+
+    connectedCallback(): void {
+      super.connectedCallback && super.connectedCallback();
+      if (!changeListeners.has(this)) {
+        const listener = (event: Event) => {
+          const detail =
+              (event as CustomEvent<BlockingElementsChangeDetail>).detail;
+          this.dispatchEvent(new CustomEvent('blockingchange', {detail}));
+        };
+        changeListeners.set(this, listener);
+        this.ownerDocument!.addEventListener(
+            'blockingelementschange', listener);
+      }
+      updateBlocking(this);
+    }
+
+    disconnectedCallback(): void {
+      super.disconnectedCallback && super.disconnectedCallback();
+      const listener = changeListeners.get(this);
+      if (listener) {
+        changeListeners.delete(this);
+        this.ownerDocument!.removeEventListener(
+            'blockingelementschange', listener);
+      }
+      updateBlocking(this);
+    }
+
+    attributeChangedCallback(
+        name: string, oldValue: string|null, newValue: string|null): void {
+      super.attributeChangedCallback &&
+          super.attributeChangedCallback(name, oldValue, newValue);
+      name === 'active' && updateBlocking(this);
+    }
+  };
+}
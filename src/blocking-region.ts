@@ -0,0 +1,80 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BlockingMixin} from './blocking-mixin.js';
+
+/**
+ * The styles and contents of the shadow root.
+ */
+const templateHTML = `
+<style>
+  :host {
+    display: block;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  #backdrop {
+    display: none;
+  }
+
+  :host([active][backdrop]) {
+    position: relative;
+    z-index: 1;
+  }
+
+  :host([active][backdrop]) #backdrop {
+    display: block;
+    position: fixed;
+    top: 0;
+    right: 0;
+    bottom: 0;
+    left: 0;
+    z-index: -1;
+    background: rgba(0, 0, 0, 0.5);
+  }
+</style>
+<div id="backdrop" part="backdrop"></div>
+<slot></slot>`;
+
+/**
+ * The template of the shadow root, created with the first element.
+ */
+let template: HTMLTemplateElement|null = null;
+
+/**
+ * `<blocking-region>` is blocking while it has the `active` attribute, see
+ * `BlockingMixin`. With the `backdrop` attribute, a backdrop covers the
+ * page behind it while active; style it with `::part(backdrop)`.
+ */
+export class BlockingRegion extends BlockingMixin
+(HTMLElement) {
+  constructor() {
+    super();
+    if (!template) {
+      template = document.createElement('template');
+      template.innerHTML = templateHTML;
+    }
+    this.attachShadow({mode: 'open'})
+        .appendChild(document.importNode(template.content, true));
+  }
+}
+
+customElements.get('blocking-region') ||
+    customElements.define('blocking-region', BlockingRegion);
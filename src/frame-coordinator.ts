@@ -0,0 +1,220 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BlockingElements, BlockingStrategy, DocumentWithBlockingElements} from './blocking-elements-core.js';
+
+/* Symbols for private properties */
+const _window = Symbol();
+const _pushedFrame = Symbol();
+const _parentDoc = Symbol();
+const _blockedDocs = Symbol();
+
+/* Symbols for private methods */
+const _update = Symbol();
+const _updateParent = Symbol();
+const _updateChildren = Symbol();
+const _getStack = Symbol();
+const _getChildDocs = Symbol();
+
+/**
+ * A child document blocked by the coordinator, and the strategy used to block
+ * it.
+ */
+interface BlockedDoc {
+  body: HTMLElement;
+  strategy: BlockingStrategy;
+}
+
+/**
+ * `FrameCoordinator` coordinates `document.$blockingElements` of a window with
+ * the ones of its parent and child frames, through direct same-origin access:
+ * - while the window has a top element, its hosting frame element is pushed
+ *   into the stack of the parent document, so that the rest of the parent
+ *   document is blocked, unless the parent document blocks the frame element;
+ * - while the window has a top element, the bodies of the child frames blocked
+ *   by it are blocked as well, using the strategy of the child document (or
+ *   the one of the window if the child document has no stack).
+ *
+ * Cross-origin frames are ignored. Each window of a tree of frames needs its
+ * own coordinator, e.g. `new FrameCoordinator().observe()` in each frame.
+ */
+export class FrameCoordinator {
+  /**
+   * The coordinated window.
+   */
+  private[_window]: Window;
+
+  /**
+   * The frame element pushed into the stack of the parent document, if any.
+   */
+  private[_pushedFrame]: HTMLElement|null = null;
+
+  /**
+   * The parent document listened to while observing, if same-origin.
+   */
+  private[_parentDoc]: Document|null = null;
+
+  /**
+   * The child documents whose body got blocked.
+   */
+  private[_blockedDocs] = new Map<Document, BlockedDoc>();
+
+  /**
+   * Coordinates the stack of `win`, which defaults to the current window.
+   */
+  constructor(win: Window = window) {
+    this[_window] = win;
+    this[_update] = this[_update].bind(this);
+  }
+
+  /**
+   * Starts listening to the changes of the top element of the window and of
+   * its parent, and to the child frames being loaded.
+   */
+  observe(): void {
+    const doc = this[_window].document;
+    doc.addEventListener('blockingelementschange', this[_update]);
+    // `load` doesn't bubble.
+    doc.addEventListener('load', this[_update], true);
+    // The frame element can be pushed once the parent document doesn't block
+    // it anymore.
+    const frame = this[_window].frameElement;
+    const parentDoc = frame && frame.ownerDocument;
+    if (parentDoc) {
+      this[_parentDoc] = parentDoc;
+      parentDoc.addEventListener('blockingelementschange', this[_update]);
+    }
+    this[_update]();
+  }
+
+  /**
+   * Stops listening, removes the frame element from the stack of the parent
+   * document, and restores the child frames.
+   */
+  disconnect(): void {
+    const doc = this[_window].document;
+    doc.removeEventListener('blockingelementschange', this[_update]);
+    doc.removeEventListener('load', this[_update], true);
+    const parentDoc = this[_parentDoc];
+    if (parentDoc) {
+      this[_parentDoc] = null;
+      parentDoc.removeEventListener('blockingelementschange', this[_update]);
+    }
+    const frame = this[_pushedFrame];
+    if (frame) {
+      this[_pushedFrame] = null;
+      const parentStack = this[_getStack](frame.ownerDocument!);
+      parentStack && parentStack.remove(frame);
+    }
+    for (const {body, strategy} of this[_blockedDocs].values()) {
+      strategy.unblock(body);
+    }
+    this[_blockedDocs].clear();
+  }
+
+  /**
+   * Updates the stack of the parent document and the child frames.
+   */
+  private[_update](): void {
+    this[_updateParent]();
+    this[_updateChildren]();
+  }
+
+  /**
+   * Pushes the frame element into the stack of the parent document while there
+   * is a top element and the frame element is not blocked by the parent
+   * document, removes it once there is no top element.
+   */
+  private[_updateParent](): void {
+    const frame = this[_window].frameElement as HTMLElement | null;
+    const parentStack = frame && this[_getStack](frame.ownerDocument!);
+    if (!frame || !parentStack) {
+      return;
+    }
+    const stack = this[_getStack](this[_window].document);
+    const pushed = this[_pushedFrame];
+    if (stack && stack.top) {
+      // Leave the frame element alone if someone else pushed it. While it is
+      // blocked by the parent document, pushing it would put it above the
+      // top element of the parent document.
+      if (!pushed && !parentStack.has(frame) &&
+          !parentStack.isBlockedBy(frame)) {
+        this[_pushedFrame] = frame;
+        parentStack.push(frame);
+      }
+    } else if (pushed) {
+      this[_pushedFrame] = null;
+      parentStack.remove(pushed);
+    }
+  }
+
+  /**
+   * Blocks the bodies of the child frames blocked by the stack, restores the
+   * other ones.
+   */
+  private[_updateChildren](): void {
+    const stack = this[_getStack](this[_window].document);
+    const blockedDocs = this[_blockedDocs];
+    const toBlock = new Map<Document, HTMLElement>();
+    for (const [doc, frame] of this[_getChildDocs]()) {
+      if (stack && stack.top && doc.body && stack.isBlockedBy(frame)) {
+        toBlock.set(doc, doc.body);
+      }
+    }
+    // Restore the documents not blocked anymore, or whose body changed.
+    for (const [doc, blocked] of blockedDocs) {
+      if (toBlock.get(doc) !== blocked.body) {
+        blockedDocs.delete(doc);
+        blocked.strategy.unblock(blocked.body);
+      }
+    }
+    for (const [doc, body] of toBlock) {
+      const childStack = this[_getStack](doc);
+      const strategy = (childStack || stack!).strategy;
+      // Leave alone the bodies already blocked by others.
+      if (!blockedDocs.has(doc) && !strategy.isBlocked(body)) {
+        blockedDocs.set(doc, {body, strategy});
+        strategy.block(body);
+      }
+    }
+  }
+
+  /**
+   * Returns the `$blockingElements` of the document, if any.
+   */
+  private[_getStack](doc: Document): BlockingElements|undefined {
+    return (doc as DocumentWithBlockingElements).$blockingElements;
+  }
+
+  /**
+   * Returns the documents of the same-origin child frames, mapped to their
+   * frame element.
+   */
+  private[_getChildDocs](): Map<Document, HTMLElement> {
+    const frames = this[_window].frames;
+    const docs = new Map<Document, HTMLElement>();
+    for (let i = 0; i < frames.length; i++) {
+      try {
+        const frame = frames[i].frameElement as HTMLElement | null;
+        frame && docs.set(frames[i].document, frame);
+      } catch (e) {
+        // Cross-origin frame.
+      }
+    }
+    return docs;
+  }
+}
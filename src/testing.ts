@@ -0,0 +1,195 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Helpers to test components using blocking elements, e.g. with mocha:
+ *
+ *     afterEach(() => resetBlockingElements());
+ *
+ *     it('traps the interaction', () => {
+ *       dialog.open();
+ *       assertOnlyInteractive(dialog);
+ *     });
+ */
+
+import {BlockingElements, DocumentWithBlockingElements} from './blocking-elements-core.js';
+
+/**
+ * Elements that are never blocked, since they're not rendered.
+ */
+const notRendered = /^(style|template|script)$/;
+
+/**
+ * Returns the parent of the node in the flattened tree.
+ */
+function getFlattenedParent(node: Node): Node|null {
+  return (node as HTMLElement).assignedSlot || node.parentNode ||
+      (node as ShadowRoot).host || null;
+}
+
+/**
+ * Returns if the node or one of its ancestors in the flattened tree is inert,
+ * or blocked by the blocking elements.
+ */
+function isNonInteractive(
+    node: Node, blockingElements: BlockingElements): boolean {
+  if (blockingElements.isBlockedBy(node)) {
+    return true;
+  }
+  for (let current: Node|null = node; current;
+       current = getFlattenedParent(current)) {
+    if ((current as HTMLElement & {inert?: boolean}).inert) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns if the node or one of its ancestors in the flattened tree is in the
+ * set.
+ */
+function isWithin(node: Node, elements: Set<Node>): boolean {
+  for (let current: Node|null = node; current;
+       current = getFlattenedParent(current)) {
+    if (elements.has(current)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Returns a short description of the element for error messages.
+ */
+function describe(element: Element): string {
+  return element.localName + (element.id ? `#${element.id}` : '');
+}
+
+/**
+ * Returns the children of the node in the composed tree: its children, and
+ * the children of its open shadow root.
+ */
+function getComposedChildren(node: Document|Element|ShadowRoot): Element[] {
+  const children = Array.from(node.children);
+  const shadowRoot = (node as Element).shadowRoot;
+  return shadowRoot ? children.concat(Array.from(shadowRoot.children)) :
+                      children;
+}
+
+/**
+ * Returns the children of the node in the flattened tree: the children of its
+ * open shadow root if any, its children otherwise. Slots are replaced by the
+ * elements assigned to them, or by their fallback content.
+ */
+function getFlattenedChildren(node: Document|Element|ShadowRoot): Element[] {
+  const shadowRoot = (node as Element).shadowRoot;
+  const flattened: Element[] = [];
+  for (const child of Array.from((shadowRoot || node).children)) {
+    if (child.localName === 'slot') {
+      flattened.push(
+          ...(child as HTMLSlotElement).assignedElements({flatten: true}));
+    } else {
+      flattened.push(child);
+    }
+  }
+  return flattened;
+}
+
+/**
+ * Throws unless `element` is the top element of `blockingElements` (defaults
+ * to `document.$blockingElements`) and nothing outside of it is interactive.
+ * Walks the composed tree of the root, shadow roots included, and expects
+ * each element to be inert or blocked, unless it's one of the parents of the
+ * top element, within the top element (its distributed children included), or
+ * within an exempt region.
+ */
+export function assertOnlyInteractive(
+    element: HTMLElement, blockingElements?: BlockingElements): void {
+  blockingElements = blockingElements ||
+      (document as DocumentWithBlockingElements).$blockingElements;
+  if (blockingElements.top !== element) {
+    throw Error(`${describe(element)} is not the top element`);
+  }
+  const {path, distributed, exempted} = blockingElements.inspect();
+  const parents = new Set<Node>(path.slice(1));
+  const exemptParents = new Set<Node>();
+  exempted.forEach((el) => exemptParents.add(getFlattenedParent(el)!));
+  // The regions are the exempted elements that are not parents of others.
+  const allowed = new Set<Node>(
+      exempted.filter((el) => !exemptParents.has(el)).concat(distributed));
+  allowed.add(element);
+  const reachable: Element[] = [];
+  const root = path[path.length - 1].parentNode as Element | ShadowRoot;
+  const toVisit = getComposedChildren(root);
+  while (toVisit.length) {
+    const current = toVisit.shift()!;
+    if (notRendered.test(current.localName) || isWithin(current, allowed) ||
+        isNonInteractive(current, blockingElements)) {
+      continue;
+    }
+    if (parents.has(current) ||
+        exempted.indexOf(current as HTMLElement) !== -1) {
+      toVisit.push(...getComposedChildren(current));
+      continue;
+    }
+    reachable.push(current);
+  }
+  if (reachable.length) {
+    throw Error(`Interactive outside of ${describe(element)}: ${
+        reachable.map(describe).join(', ')}`);
+  }
+}
+
+/**
+ * Returns the elements within `root` (defaults to the document) that can be
+ * reached with the Tab key, in flattened tree order: the elements with a
+ * non-negative `tabIndex` that are neither disabled, nor inert, nor blocked by
+ * `blockingElements` (defaults to `document.$blockingElements`).
+ */
+export function getTabbableElements(
+    root: Document|Element|ShadowRoot = document,
+    blockingElements?: BlockingElements): HTMLElement[] {
+  blockingElements = blockingElements ||
+      (document as DocumentWithBlockingElements).$blockingElements;
+  const tabbable: HTMLElement[] = [];
+  const toVisit = getFlattenedChildren(root);
+  while (toVisit.length) {
+    const current = toVisit.shift() as HTMLElement;
+    if (current.tabIndex >= 0 && !(current as HTMLButtonElement).disabled &&
+        !isNonInteractive(current, blockingElements!)) {
+      tabbable.push(current);
+    }
+    toVisit.unshift(...getFlattenedChildren(current));
+  }
+  return tabbable;
+}
+
+/**
+ * Resets `doc.$blockingElements` (`doc` defaults to `document`), restoring
+ * everything it changed: inert elements, scroll lock, history entries, and so
+ * on. The instance is kept, so that the code holding it keeps working, but its
+ * exemptions are cleared and its strategy, `scrollLock` and `ariaModal` are
+ * back to the values it was created with.
+ */
+export function resetBlockingElements(doc: Document = document): void {
+  const blockingElements =
+      (doc as DocumentWithBlockingElements).$blockingElements;
+  if (blockingElements) {
+    blockingElements.reset({configuration: true});
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {BlockingElements, DocumentWithBlockingElements} from './blocking-elements-core.js';
+
+/* Symbols for private properties */
+const _blockingElements = Symbol();
+const _root = Symbol();
+const _mo = Symbol();
+const _dialogs = Symbol();
+const _popovers = Symbol();
+const _shadowRoots = Symbol();
+
+/* Symbols for private methods */
+const _handleMutations = Symbol();
+const _handleClose = Symbol();
+const _handleToggle = Symbol();
+const _update = Symbol();
+const _updateDialog = Symbol();
+const _updatePopover = Symbol();
+const _matches = Symbol();
+const _observeRoot = Symbol();
+
+/**
+ * `TopLayerObserver` mirrors the native top layer into a `BlockingElements`
+ * stack:
+ * - modal dialogs (opened with `showModal()`) are pushed while open, and
+ *   removed once closed or disconnected;
+ * - modal dialogs and open popovers are exempted while open, so that they're
+ *   never blocked by the stack, even when other elements are pushed on top of
+ *   them.
+ *
+ * The dialogs and popovers inside the open shadow roots connected to the
+ * observed node are mirrored as well, closed shadow roots are not observed.
+ */
+export class TopLayerObserver {
+  /**
+   * The stack to update.
+   */
+  private[_blockingElements]: BlockingElements;
+
+  /**
+   * The observed node.
+   */
+  private[_root]: Document|Element|ShadowRoot;
+
+  /**
+   * Observes the `open` attribute of the dialogs, and the removed nodes.
+   */
+  private[_mo] = new MutationObserver(this[_handleMutations].bind(this));
+
+  /**
+   * The modal dialogs pushed and exempted.
+   */
+  private[_dialogs] = new Set<HTMLElement>();
+
+  /**
+   * The open popovers exempted.
+   */
+  private[_popovers] = new Set<HTMLElement>();
+
+  /**
+   * The connected shadow roots observed within the root.
+   */
+  private[_shadowRoots] = new Set<ShadowRoot>();
+
+  /**
+   * Observes the dialogs and popovers of `root` (defaults to the document) and
+   * updates `blockingElements` (defaults to `document.$blockingElements`)
+   * accordingly. To observe a scoped stack, pass the same root used to create
+   * it.
+   */
+  constructor(
+      blockingElements?: BlockingElements,
+      root: Document|Element|ShadowRoot = document) {
+    this[_blockingElements] = blockingElements ||
+        (document as DocumentWithBlockingElements).$blockingElements;
+    this[_root] = root;
+    this[_handleClose] = this[_handleClose].bind(this);
+    this[_handleToggle] = this[_handleToggle].bind(this);
+  }
+
+  /**
+   * Starts observing, and mirrors the modal dialogs and popovers already open.
+   */
+  observe(): void {
+    const root = this[_root];
+    this[_observeRoot](root);
+    this[_update](root);
+  }
+
+  /**
+   * Stops observing, and removes the modal dialogs and the exemptions from the
+   * stack.
+   */
+  disconnect(): void {
+    this[_mo].disconnect();
+    for (const root of [this[_root], ...this[_shadowRoots]]) {
+      root.removeEventListener('close', this[_handleClose], true);
+      root.removeEventListener('toggle', this[_handleToggle], true);
+    }
+    this[_shadowRoots].clear();
+    const blockingElements = this[_blockingElements];
+    blockingElements.batch(() => {
+      for (const dialog of this[_dialogs]) {
+        blockingElements.remove(dialog);
+        blockingElements.removeExemption(dialog);
+      }
+      for (const popover of this[_popovers]) {
+        blockingElements.removeExemption(popover);
+      }
+    });
+    this[_dialogs].clear();
+    this[_popovers].clear();
+  }
+
+  /**
+   * Observes the mutations and the `close` and `toggle` events of the node.
+   */
+  private[_observeRoot](node: Document|Element|ShadowRoot): void {
+    this[_mo].observe(node, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['open'],
+    });
+    // `close` and `toggle` don't bubble, nor cross shadow boundaries.
+    node.addEventListener('close', this[_handleClose], true);
+    node.addEventListener('toggle', this[_handleToggle], true);
+  }
+
+  /**
+   * Updates the dialogs and popovers within the node, the node included, and
+   * within the open shadow roots it contains. The connected shadow roots get
+   * observed.
+   */
+  private[_update](node: Node): void {
+    if (node.nodeType !== Node.ELEMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return;
+    }
+    const elements =
+        Array.from((node as Element).querySelectorAll<HTMLElement>('*'));
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      elements.unshift(node as HTMLElement);
+    }
+    for (const element of elements) {
+      if (element.localName === 'dialog') {
+        this[_updateDialog](element);
+      }
+      if (element.hasAttribute('popover')) {
+        this[_updatePopover](element);
+      }
+      const shadowRoot = element.shadowRoot;
+      if (!shadowRoot) {
+        continue;
+      }
+      if (shadowRoot.isConnected && !this[_shadowRoots].has(shadowRoot)) {
+        this[_shadowRoots].add(shadowRoot);
+        this[_observeRoot](shadowRoot);
+      }
+      this[_update](shadowRoot);
+    }
+  }
+
+  /**
+   * Pushes and exempts the dialog if it's a connected, open modal dialog,
+   * removes it otherwise.
+   */
+  private[_updateDialog](dialog: HTMLElement): void {
+    const blockingElements = this[_blockingElements];
+    const dialogs = this[_dialogs];
+    const isModal = dialog.isConnected && dialog.hasAttribute('open') &&
+        this[_matches](dialog, ':modal');
+    if (isModal && !dialogs.has(dialog)) {
+      dialogs.add(dialog);
+      blockingElements.push(dialog);
+      blockingElements.addExemption(dialog);
+    } else if (!isModal && dialogs.has(dialog)) {
+      dialogs.delete(dialog);
+      blockingElements.removeExemption(dialog);
+      blockingElements.remove(dialog);
+    }
+  }
+
+  /**
+   * Exempts the popover if it's connected and open, removes the exemption
+   * otherwise.
+   */
+  private[_updatePopover](popover: HTMLElement): void {
+    const popovers = this[_popovers];
+    const isOpen =
+        popover.isConnected && this[_matches](popover, ':popover-open');
+    if (isOpen && !popovers.has(popover)) {
+      popovers.add(popover);
+      this[_blockingElements].addExemption(popover);
+    } else if (!isOpen && popovers.has(popover)) {
+      popovers.delete(popover);
+      this[_blockingElements].removeExemption(popover);
+    }
+  }
+
+  /**
+   * Returns if the element matches the selector, false if the selector is not
+   * supported.
+   */
+  private[_matches](element: HTMLElement, selector: string): boolean {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Updates the dialogs that got opened or closed, and the dialogs and
+   * popovers that got connected or disconnected.
+   */
+  private[_handleMutations](mutations: MutationRecord[]): void {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        const element = mutation.target as HTMLElement;
+        element.localName === 'dialog' && this[_updateDialog](element);
+        continue;
+      }
+      // Disconnected elements are not open anymore.
+      for (const dialog of this[_dialogs]) {
+        dialog.isConnected || this[_updateDialog](dialog);
+      }
+      for (const popover of this[_popovers]) {
+        popover.isConnected || this[_updatePopover](popover);
+      }
+      for (const shadowRoot of this[_shadowRoots]) {
+        if (!shadowRoot.isConnected) {
+          this[_shadowRoots].delete(shadowRoot);
+          shadowRoot.removeEventListener('close', this[_handleClose], true);
+          shadowRoot.removeEventListener('toggle', this[_handleToggle], true);
+        }
+      }
+      for (let i = 0; i < mutation.addedNodes.length; i++) {
+        this[_update](mutation.addedNodes[i]);
+      }
+    }
+  }
+
+  /**
+   * Removes the dialog once closed, without waiting for the mutation
+   * observer.
+   */
+  private[_handleClose](event: Event): void {
+    const target = event.target as HTMLElement;
+    target.localName === 'dialog' && this[_updateDialog](target);
+  }
+
+  /**
+   * Updates the popovers that got opened or closed, and the dialogs (some
+   * browsers fire `toggle` on them as well).
+   */
+  private[_handleToggle](event: Event): void {
+    const target = event.target as HTMLElement;
+    if (target.localName === 'dialog') {
+      this[_updateDialog](target);
+    }
+    if (target.hasAttribute && target.hasAttribute('popover')) {
+      this[_updatePopover](target);
+    }
+  }
+}
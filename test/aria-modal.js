@@ -0,0 +1,145 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  describe('ariaModal', function() {
+    var container;
+    var outer;
+    var inner;
+    var stack;
+
+    beforeEach(function() {
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer" aria-label="Outer">
+            <h2 id="title">Inner title</h2>
+            <div id="inner" aria-labelledby="title">
+              <button>button</button>
+            </div>
+          </div>
+          <button>button</button>
+        </div>`);
+      outer = container.querySelector('#outer');
+      inner = container.querySelector('#inner');
+      stack = null;
+    });
+
+    afterEach(function() {
+      stack && stack.dispose();
+      fixtureLoader.destroy();
+    });
+
+    it('is disabled by default', function() {
+      stack = blockingElements.createBlockingElements(container);
+      stack.push(outer);
+      assert.isFalse(outer.hasAttribute('aria-modal'));
+    });
+
+    it('moves aria-modal to the top element', function() {
+      stack = blockingElements.createBlockingElements(container, {
+        ariaModal: true,
+      });
+      stack.push(outer);
+      assert.equal(outer.getAttribute('aria-modal'), 'true');
+      stack.push(inner);
+      assert.isFalse(outer.hasAttribute('aria-modal'), 'removed from old top');
+      assert.equal(inner.getAttribute('aria-modal'), 'true');
+      assert.isFalse(inner.hasAttribute('role'), 'role not set');
+      stack.pop();
+      assert.equal(outer.getAttribute('aria-modal'), 'true');
+      assert.isFalse(inner.hasAttribute('aria-modal'));
+      stack.pop();
+      assert.isFalse(outer.hasAttribute('aria-modal'));
+    });
+
+    it('sets role="dialog" if asked', function() {
+      stack = blockingElements.createBlockingElements(container, {
+        ariaModal: {role: true},
+      });
+      stack.push(outer);
+      assert.equal(outer.getAttribute('role'), 'dialog');
+      stack.pop();
+      assert.isFalse(outer.hasAttribute('role'));
+    });
+
+    it('does not overwrite the attributes set by the author', function() {
+      outer.setAttribute('aria-modal', 'false');
+      outer.setAttribute('role', 'alertdialog');
+      stack = blockingElements.createBlockingElements(container, {
+        ariaModal: {role: true},
+      });
+      stack.push(outer);
+      assert.equal(outer.getAttribute('aria-modal'), 'false');
+      assert.equal(outer.getAttribute('role'), 'alertdialog');
+      stack.pop();
+      assert.equal(outer.getAttribute('aria-modal'), 'false');
+      assert.equal(outer.getAttribute('role'), 'alertdialog');
+    });
+
+    it('can be enabled and disabled with a top element', function() {
+      stack = blockingElements.createBlockingElements(container);
+      stack.push(outer);
+      stack.ariaModal = true;
+      assert.equal(outer.getAttribute('aria-modal'), 'true');
+      stack.ariaModal = false;
+      assert.isFalse(outer.hasAttribute('aria-modal'));
+    });
+
+    it('announces the label of the new top elements', function() {
+      stack = blockingElements.createBlockingElements(container, {
+        ariaModal: {announce: true},
+      });
+      stack.push(outer);
+      var region = document.querySelector('[aria-live="polite"]');
+      assert.ok(region, 'live region appended');
+      assert.equal(region.textContent, 'Outer');
+      stack.push(inner);
+      assert.equal(region.textContent, 'Inner title');
+      stack.ariaModal = false;
+      region.parentNode.removeChild(region);
+    });
+
+    it('removes the exemption once announcements are disabled', function() {
+      var blockingElements = document.$blockingElements;
+      blockingElements.ariaModal = {announce: true};
+      var region = document.querySelector('[aria-live="polite"]');
+      assert.ok(region, 'appended before any top element');
+      blockingElements.push(outer);
+      assert.include(blockingElements.inspect().exempted, region);
+      blockingElements.ariaModal = false;
+      assert.notInclude(blockingElements.inspect().exempted, region);
+      assert.isTrue(region.inert, 'blocked like its siblings');
+      blockingElements.pop();
+      region.parentNode.removeChild(region);
+    });
+
+    it('does not block the live region', function() {
+      var blockingElements = document.$blockingElements;
+      blockingElements.ariaModal = {announce: true};
+      blockingElements.push(outer);
+      var region = document.querySelector('[aria-live="polite"]');
+      assert.isNotOk(region.inert, 'not inert when the text is set');
+      assert.equal(region.textContent, 'Outer');
+      blockingElements.pop();
+      blockingElements.ariaModal = false;
+      region.parentNode.removeChild(region);
+    });
+  });
+})();
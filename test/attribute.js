@@ -0,0 +1,208 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements() {
+    while (document.$blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('blocking attribute', function() {
+    var container;
+    var observer;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+      <div>
+        <button>button</button>
+        <div id="a" blocking>
+          <button>button</button>
+          <div id="b" blocking></div>
+        </div>
+        <div id="c"></div>
+      </div>`);
+      observer = new blockingAttribute.BlockingAttributeObserver();
+      observer.observe();
+    });
+
+    afterEach(function() {
+      observer.disconnect();
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('observe() pushes elements with the attribute in tree order',
+      function() {
+        var a = container.querySelector('#a');
+        var b = container.querySelector('#b');
+        assert.equal(document.$blockingElements.top, b);
+        assert.isTrue(document.$blockingElements.has(a));
+        assert.isTrue(b.hasAttribute('blocking-top'), 'top reflected');
+        assert.isFalse(a.hasAttribute('blocking-top'));
+      });
+
+    it('adding the attribute pushes the element', function(done) {
+      var c = container.querySelector('#c');
+      c.setAttribute('blocking', '');
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, c);
+        assert.isTrue(c.hasAttribute('blocking-top'), 'top reflected');
+        assert.isFalse(container.querySelector('#b').hasAttribute('blocking-top'),
+          'old top not reflected');
+        done();
+      });
+    });
+
+    it('removing the attribute removes the element', function(done) {
+      var a = container.querySelector('#a');
+      var b = container.querySelector('#b');
+      b.removeAttribute('blocking');
+      a.removeAttribute('blocking');
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, null);
+        assert.isFalse(a.hasAttribute('blocking-top'));
+        assert.isFalse(b.hasAttribute('blocking-top'));
+        done();
+      });
+    });
+
+    it('connecting an element with the attribute pushes it', function(done) {
+      var d = document.createElement('div');
+      d.setAttribute('blocking', '');
+      container.querySelector('#c').appendChild(d);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, d);
+        done();
+      });
+    });
+
+    it('disconnecting an element with the attribute removes it', function(done) {
+      var a = container.querySelector('#a');
+      var b = container.querySelector('#b');
+      container.removeChild(a);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isFalse(document.$blockingElements.has(a));
+        assert.isFalse(document.$blockingElements.has(b));
+        assert.equal(document.$blockingElements.top, null);
+        done();
+      });
+    });
+
+    it('moving an element with the attribute keeps it', function(done) {
+      var b = container.querySelector('#b');
+      container.querySelector('#c').appendChild(b);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, b);
+        done();
+      });
+    });
+
+    it('does not remove elements pushed manually', function(done) {
+      var c = container.querySelector('#c');
+      c.setAttribute('blocking', '');
+      document.$blockingElements.push(c);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        c.removeAttribute('blocking');
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, c);
+          done();
+        });
+      });
+    });
+
+    it('disconnect() removes the elements it pushed', function() {
+      var b = container.querySelector('#b');
+      observer.disconnect();
+      assert.equal(document.$blockingElements.top, null);
+      assert.isFalse(b.hasAttribute('blocking-top'));
+    });
+  });
+
+  describe('blocking attribute in ShadowDom v1', function() {
+    if (!Element.prototype.attachShadow) {
+      console.log('ShadowDOM v1 is not supported by the browser.');
+      return;
+    }
+
+    var container;
+    var observer;
+
+    beforeEach(function(done) {
+      container = fixtureLoader.load(`
+        <div>
+          <button>button</button>
+        </div>`);
+      var template = document.createElement('template');
+      template.innerHTML = `<div blocking></div><div></div>`;
+      container.attachShadow({
+        mode: 'open',
+      }).appendChild(template.content);
+      observer = new blockingAttribute.BlockingAttributeObserver();
+      observer.observe();
+      // Needed by ShadowDOM polyfill.
+      setTimeout(function() {
+        done();
+      });
+    });
+
+    afterEach(function() {
+      observer.disconnect();
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('observe() pushes elements in shadow roots', function() {
+      assert.equal(document.$blockingElements.top,
+        container.shadowRoot.firstElementChild);
+    });
+
+    it('adding the attribute in a shadow root pushes the element',
+      function(done) {
+        var div = container.shadowRoot.lastElementChild;
+        div.setAttribute('blocking', '');
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, div);
+          done();
+        });
+      });
+
+    it('connecting a shadow host pushes elements in its shadow root',
+      function(done) {
+        var host = document.createElement('div');
+        host.attachShadow({mode: 'open'}).innerHTML = '<p blocking></p>';
+        container.appendChild(host);
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top,
+            host.shadowRoot.firstElementChild);
+          done();
+        });
+      });
+  });
+})();
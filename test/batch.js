@@ -0,0 +1,193 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  // Counts the calls to block and unblock of the InertBlockingStrategy.
+  function countingStrategy() {
+    var inert = new blockingElements.InertBlockingStrategy();
+    var strategy = {
+      blocked: [],
+      unblocked: [],
+      isBlocked: function(element) {
+        return inert.isBlocked(element);
+      },
+      block: function(element) {
+        strategy.blocked.push(element);
+        inert.block(element);
+      },
+      unblock: function(element) {
+        strategy.unblocked.push(element);
+        inert.unblock(element);
+      },
+    };
+    return strategy;
+  }
+
+  describe('batch', function() {
+    var container;
+    var outer;
+    var middle;
+    var inner;
+    var stack;
+    var strategy;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer">
+            <div id="middle">
+              <div id="inner"><button>button</button></div>
+              <button>button</button>
+            </div>
+            <button>button</button>
+          </div>
+          <button>button</button>
+        </div>`);
+      outer = container.querySelector('#outer');
+      middle = container.querySelector('#middle');
+      inner = container.querySelector('#inner');
+      strategy = countingStrategy();
+      stack = blockingElements.createBlockingElements(container, {
+        strategy: strategy,
+      });
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(stack);
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('updates top and has synchronously', function() {
+      stack.batch(function() {
+        stack.push(outer);
+        stack.push(middle);
+        assert.equal(stack.top, middle);
+        assert.isTrue(stack.has(outer));
+        assert.equal(strategy.blocked.length, 0, 'nothing blocked yet');
+      });
+      assert.isTrue(container.children[1].inert, 'blocked after batch');
+    });
+
+    it('blocks each element once when pushing several elements', function() {
+      stack.batch(function() {
+        stack.push(outer);
+        stack.push(middle);
+        stack.push(inner);
+      });
+      assert.sameMembers(strategy.blocked, [
+        container.children[1],
+        outer.children[1],
+        middle.children[1],
+      ]);
+      assert.equal(strategy.unblocked.length, 0, 'nothing unblocked');
+    });
+
+    it('unblocks each element once when removing several elements',
+      function() {
+        stack.push(outer);
+        stack.push(middle);
+        stack.push(inner);
+        strategy.blocked = [];
+        strategy.unblocked = [];
+        stack.batch(function() {
+          stack.pop();
+          stack.pop();
+          stack.pop();
+        });
+        assert.equal(strategy.blocked.length, 0, 'nothing blocked');
+        assert.sameMembers(strategy.unblocked, [
+          container.children[1],
+          outer.children[1],
+          middle.children[1],
+        ]);
+        assert.equal(stack.top, null);
+      });
+
+    it('fires blockingelementschange once after the batch', function() {
+      var events = [];
+      container.addEventListener('blockingelementschange', function(e) {
+        events.push(e.detail);
+      });
+      stack.batch(function() {
+        stack.push(outer);
+        stack.batch(function() {
+          stack.push(middle);
+        });
+        assert.equal(events.length, 0, 'deferred until the outermost batch');
+      });
+      assert.equal(events.length, 1);
+      assert.equal(events[0].oldTop, null);
+      assert.equal(events[0].newTop, middle);
+    });
+
+    it('does not fire blockingelementschange if the top is unchanged',
+      function() {
+        var fired = false;
+        stack.push(outer);
+        container.addEventListener('blockingelementschange', function() {
+          fired = true;
+        });
+        stack.batch(function() {
+          stack.push(middle);
+          stack.remove(middle);
+        });
+        assert.isFalse(fired);
+        assert.isNotOk(middle.children[1].inert, 'nothing left blocked');
+      });
+
+    it('defers focus changes until the elements are updated', function() {
+      var button = inner.querySelector('button');
+      stack.push(middle.children[1]);
+      stack.batch(function() {
+        stack.remove(middle.children[1]);
+        stack.push(inner, {initialFocus: true});
+        assert.notEqual(document.activeElement, button, 'not focused yet');
+      });
+      assert.equal(document.activeElement, button);
+    });
+
+    it('updates the elements even if the callback throws', function() {
+      assert.throws(function() {
+        stack.batch(function() {
+          stack.push(outer);
+          throw new Error('error');
+        });
+      }, 'error');
+      assert.isTrue(container.children[1].inert, 'blocked');
+    });
+
+    it('throws synchronously for elements outside the root', function() {
+      stack.batch(function() {
+        assert.throws(function() {
+          stack.push(document.createElement('div'));
+        });
+      });
+      assert.equal(stack.top, null);
+    });
+  });
+})();
@@ -0,0 +1,70 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  // An ES5 base class with its own lifecycle callbacks.
+  function XBase() {
+    return HTMLElement.call(this) || this;
+  }
+  XBase.prototype = Object.create(HTMLElement.prototype);
+  XBase.prototype.constructor = XBase;
+  XBase.observedAttributes = ['label'];
+  XBase.prototype.connectedCallback = function() {
+    this.baseConnected = true;
+  };
+  XBase.prototype.attributeChangedCallback = function(name) {
+    this.baseChanged = name;
+  };
+  customElements.define('x-blocking-mixin',
+    blockingMixin.BlockingMixin(XBase));
+
+  describe('BlockingMixin', function() {
+    var container;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <button>button</button>
+        </div>`);
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('keeps the callbacks of the base class', function() {
+      var element = document.createElement('x-blocking-mixin');
+      element.setAttribute('active', '');
+      element.setAttribute('label', 'label');
+      container.appendChild(element);
+      assert.isTrue(element.baseConnected);
+      assert.equal(element.baseChanged, 'label');
+      assert.equal(document.$blockingElements.top, element);
+    });
+  });
+})();
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('blocking-region', function() {
+    var container;
+    var region;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <blocking-region><button>button</button></blocking-region>
+          <button>button</button>
+        </div>`);
+      region = container.querySelector('blocking-region');
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('is pushed while active', function() {
+      assert.isFalse(region.active);
+      region.active = true;
+      assert.isTrue(region.hasAttribute('active'), 'reflected');
+      assert.equal(document.$blockingElements.top, region);
+      region.removeAttribute('active');
+      assert.isFalse(region.active);
+      assert.isFalse(document.$blockingElements.has(region));
+    });
+
+    it('is pushed when connected, removed when disconnected', function() {
+      var active = document.createElement('blocking-region');
+      active.active = true;
+      assert.isFalse(document.$blockingElements.has(active), 'not connected');
+      container.appendChild(active);
+      assert.equal(document.$blockingElements.top, active);
+      container.removeChild(active);
+      assert.isFalse(document.$blockingElements.has(active));
+    });
+
+    it('is pushed with pushOptions', function() {
+      region.pushOptions = {initialFocus: true};
+      region.active = true;
+      assert.equal(document.activeElement, region.querySelector('button'));
+    });
+
+    it('has a backdrop part', function() {
+      assert.ok(region.shadowRoot.querySelector('[part="backdrop"]'));
+    });
+
+    it('fires blockingchange events while connected', function() {
+      var details = [];
+      region.addEventListener('blockingchange', function(e) {
+        details.push(e.detail);
+      });
+      var other = container.querySelector('div > button');
+      document.$blockingElements.push(other);
+      document.$blockingElements.pop();
+      assert.deepEqual(details, [
+        {oldTop: null, newTop: other},
+        {oldTop: other, newTop: null},
+      ]);
+      container.removeChild(region);
+      document.$blockingElements.push(other);
+      assert.equal(details.length, 2, 'not fired once disconnected');
+    });
+  });
+})();
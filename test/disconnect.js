@@ -0,0 +1,203 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('disconnect policy', function() {
+    var container;
+    var a;
+    var b;
+    var stack;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="a">
+            <button>button</button>
+            <button>button</button>
+          </div>
+          <div id="b">
+            <button>button</button>
+            <button>button</button>
+          </div>
+        </div>`);
+      a = container.querySelector('#a');
+      b = container.querySelector('#b');
+      stack = null;
+    });
+
+    afterEach(function() {
+      stack && stack.dispose();
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('removes non-top elements disconnected from the document',
+      function(done) {
+        var unblocked = false;
+        var child = a.children[0];
+        child.addEventListener('unblocked', function() {
+          unblocked = true;
+        });
+        document.$blockingElements.push(child);
+        document.$blockingElements.push(b);
+        a.removeChild(child);
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.isFalse(document.$blockingElements.has(child));
+          assert.isTrue(unblocked, 'unblocked fired');
+          assert.equal(document.$blockingElements.pop(), b);
+          assert.equal(document.$blockingElements.top, null);
+          done();
+        });
+      });
+
+    it('removes all the elements disconnected at once', function(done) {
+      document.$blockingElements.push(a);
+      document.$blockingElements.push(a.children[0]);
+      container.removeChild(a);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, null);
+        assert.isNotOk(b.inert, 'restored');
+        done();
+      });
+    });
+
+    it('removes the elements disconnected along with the top', function() {
+      var changes = 0;
+      var count = function() {
+        changes++;
+      };
+      document.$blockingElements.push(a);
+      document.$blockingElements.push(b);
+      document.addEventListener('blockingelementschange', count);
+      container.removeChild(a);
+      document.$blockingElements.remove(b);
+      document.removeEventListener('blockingelementschange', count);
+      assert.equal(document.$blockingElements.top, null);
+      assert.isFalse(document.$blockingElements.has(a), 'removed at once');
+      assert.equal(changes, 1, 'one change event');
+      assert.isNotOk(b.inert, 'restored');
+    });
+
+    it('keeps the elements disconnected along with the top dormant',
+      function() {
+        stack = blockingElements.createBlockingElements(container, {
+          disconnectPolicy: 'dormant',
+        });
+        var child = b.children[0];
+        stack.push(a);
+        stack.push(child);
+        stack.push(b);
+        container.removeChild(a);
+        stack.remove(b);
+        assert.equal(stack.top, child);
+        assert.isTrue(stack.has(a), 'dormant');
+        assert.isTrue(b.children[1].inert, 'sibling of the new top inert');
+      });
+
+    it('updates inertness when the top moves', function(done) {
+      var child = a.children[0];
+      document.$blockingElements.push(child);
+      assert.isTrue(b.inert, 'inert');
+      b.appendChild(child);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(document.$blockingElements.top, child);
+        assert.isNotOk(b.inert, 'new parent active');
+        assert.isTrue(a.inert, 'old parent inert');
+        assert.isNotOk(a.children[0].inert, 'old sibling restored');
+        assert.isTrue(b.children[0].inert, 'new sibling inert');
+        done();
+      });
+    });
+
+    it('keeps disconnected elements dormant with the dormant policy',
+      function(done) {
+        stack = blockingElements.createBlockingElements(container, {
+          disconnectPolicy: 'dormant',
+        });
+        stack.push(a);
+        stack.push(b);
+        container.removeChild(b);
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.isTrue(stack.has(b), 'still a blocking element');
+          assert.equal(stack.top, a, 'dormant element skipped');
+          assert.isNotOk(a.inert, 'new top active');
+          container.appendChild(b);
+          setTimeout(function() {
+            assert.equal(stack.top, b, 'reconnected element is top again');
+            assert.isTrue(a.inert, 'inert again');
+            done();
+          });
+        });
+      });
+
+    it('pop() skips dormant elements', function(done) {
+      stack = blockingElements.createBlockingElements(container, {
+        disconnectPolicy: 'dormant',
+      });
+      stack.push(a);
+      stack.push(b);
+      container.removeChild(a);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(stack.pop(), b);
+        assert.equal(stack.top, null);
+        assert.isTrue(stack.has(a), 'dormant element kept');
+        done();
+      });
+    });
+
+    it('ignores mutations unrelated to the entries', function(done) {
+      var queried = 0;
+      container.querySelectorAll = function(selector) {
+        queried++;
+        return Element.prototype.querySelectorAll.call(this, selector);
+      };
+      stack = blockingElements.createBlockingElements(container);
+      stack.addExemption('.toast');
+      stack.push(a);
+      queried = 0;
+      b.children[0].appendChild(document.createElement('span'));
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(queried, 0, 'exemptions not resolved again');
+        var toast = document.createElement('div');
+        toast.className = 'toast';
+        b.appendChild(toast);
+        setTimeout(function() {
+          assert.isAbove(queried, 0, 'exemptions resolved again');
+          assert.include(stack.inspect().exempted, toast);
+          stack.removeExemption('.toast');
+          done();
+        });
+      });
+    });
+  });
+})();
@@ -0,0 +1,169 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  function pressEscape(target) {
+    target.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Escape',
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  function pointerDown(target) {
+    target.dispatchEvent(new Event('pointerdown', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  describe('dismiss', function() {
+    var container;
+    var outer;
+    var inner;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer">
+            <div id="inner"><button>button</button></div>
+            <button>button</button>
+          </div>
+          <button>button</button>
+        </div>`);
+      outer = container.querySelector('#outer');
+      inner = container.querySelector('#inner');
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('dismissOnEscape removes the top element', function() {
+      var detail = null;
+      inner.addEventListener('dismiss', function(e) {
+        detail = e.detail;
+      });
+      document.$blockingElements.push(inner, {dismissOnEscape: true});
+      pressEscape(inner.children[0]);
+      assert.equal(document.$blockingElements.top, null);
+      assert.deepEqual(detail, {reason: 'escape'});
+    });
+
+    it('dismisses only the top element', function() {
+      document.$blockingElements.push(outer, {dismissOnEscape: true});
+      document.$blockingElements.push(inner, {dismissOnEscape: true});
+      pressEscape(document.body);
+      assert.equal(document.$blockingElements.top, outer);
+      pressEscape(document.body);
+      assert.equal(document.$blockingElements.top, null);
+    });
+
+    it('does not dismiss elements pushed without the option', function() {
+      document.$blockingElements.push(outer, {dismissOnEscape: true});
+      document.$blockingElements.push(inner);
+      pressEscape(document.body);
+      assert.equal(document.$blockingElements.top, inner);
+    });
+
+    it('ignores other keys', function() {
+      document.$blockingElements.push(inner, {dismissOnEscape: true});
+      inner.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'Enter',
+        bubbles: true,
+      }));
+      assert.equal(document.$blockingElements.top, inner);
+    });
+
+    it('does not remove the element if dismiss is canceled', function() {
+      inner.addEventListener('dismiss', function(e) {
+        e.preventDefault();
+      });
+      document.$blockingElements.push(inner, {dismissOnEscape: true});
+      pressEscape(document.body);
+      assert.equal(document.$blockingElements.top, inner);
+    });
+
+    it('dismissOnOutsidePointer removes the top element', function() {
+      var detail = null;
+      inner.addEventListener('dismiss', function(e) {
+        detail = e.detail;
+      });
+      document.$blockingElements.push(inner, {dismissOnOutsidePointer: true});
+      pointerDown(inner.children[0]);
+      assert.equal(document.$blockingElements.top, inner, 'inside');
+      pointerDown(outer.children[1]);
+      assert.equal(document.$blockingElements.top, null, 'outside');
+      assert.deepEqual(detail, {reason: 'outside-pointer'});
+    });
+
+    it('ignores pointers within exempt regions', function() {
+      var toast = container.children[1];
+      document.$blockingElements.addExemption(toast);
+      document.$blockingElements.push(inner, {dismissOnOutsidePointer: true});
+      pointerDown(toast);
+      assert.equal(document.$blockingElements.top, inner);
+      document.$blockingElements.removeExemption(toast);
+    });
+
+    it('considers the composed path', function() {
+      if (!Element.prototype.attachShadow) {
+        this.skip();
+        return;
+      }
+      inner.attachShadow({mode: 'open'}).innerHTML =
+        '<button>in shadow</button>';
+      document.$blockingElements.push(inner, {dismissOnOutsidePointer: true});
+      pointerDown(inner.shadowRoot.querySelector('button'));
+      assert.equal(document.$blockingElements.top, inner);
+    });
+
+    it('dismisses the most recently pushed top of several stacks',
+      function() {
+        var stack = blockingElements.createBlockingElements(outer);
+        document.$blockingElements.push(outer, {dismissOnEscape: true});
+        stack.push(inner, {dismissOnEscape: true});
+        pressEscape(document.body);
+        assert.equal(stack.top, null, 'scoped top dismissed');
+        assert.equal(document.$blockingElements.top, outer, 'not dismissed');
+        stack.dispose();
+      });
+
+    it('stops listening once no element has to be dismissed', function() {
+      var dismissed = false;
+      inner.addEventListener('dismiss', function() {
+        dismissed = true;
+      });
+      document.$blockingElements.push(inner, {dismissOnEscape: true});
+      document.$blockingElements.pop();
+      document.$blockingElements.push(inner);
+      pressEscape(document.body);
+      assert.isFalse(dismissed);
+    });
+  });
+})();
@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements() {
+    while (document.$blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('events', function() {
+    var container;
+    var events;
+
+    function record(evt) {
+      events.push({
+        type: evt.type,
+        target: evt.currentTarget,
+        oldTop: evt.detail.oldTop,
+        newTop: evt.detail.newTop,
+      });
+    }
+
+    function listen(target) {
+      target.addEventListener('blocked', record);
+      target.addEventListener('unblocked', record);
+      target.addEventListener('blockingelementschange', record);
+    }
+
+    function unlisten(target) {
+      target.removeEventListener('blocked', record);
+      target.removeEventListener('unblocked', record);
+      target.removeEventListener('blockingelementschange', record);
+    }
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+      <div>
+        <button>button</button>
+        <button>button</button>
+        <button>button</button>
+      </div>`);
+      events = [];
+      listen(document);
+      for (var i = 0; i < container.children.length; i++) {
+        listen(container.children[i]);
+      }
+    });
+
+    afterEach(function() {
+      unlisten(document);
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('push() fires blocked and blockingelementschange', function() {
+      var child = container.children[0];
+      document.$blockingElements.push(child);
+      assert.deepEqual(events, [
+        {type: 'blocked', target: child, oldTop: null, newTop: child},
+        {
+          type: 'blockingelementschange',
+          target: document,
+          oldTop: null,
+          newTop: child,
+        },
+      ]);
+    });
+
+    it('push() of the current top does not fire', function() {
+      var child = container.children[0];
+      document.$blockingElements.push(child);
+      events = [];
+      document.$blockingElements.push(child);
+      assert.deepEqual(events, []);
+    });
+
+    it('push() of a blocking element only fires blockingelementschange',
+      function() {
+        var child0 = container.children[0];
+        var child1 = container.children[1];
+        document.$blockingElements.push(child0);
+        document.$blockingElements.push(child1);
+        events = [];
+        document.$blockingElements.push(child0);
+        assert.deepEqual(events, [{
+          type: 'blockingelementschange',
+          target: document,
+          oldTop: child1,
+          newTop: child0,
+        }]);
+      });
+
+    it('remove() of the top fires unblocked and blockingelementschange',
+      function() {
+        var child0 = container.children[0];
+        var child1 = container.children[1];
+        document.$blockingElements.push(child0);
+        document.$blockingElements.push(child1);
+        events = [];
+        document.$blockingElements.remove(child1);
+        assert.deepEqual(events, [
+          {type: 'unblocked', target: child1, oldTop: child1, newTop: child0},
+          {
+            type: 'blockingelementschange',
+            target: document,
+            oldTop: child1,
+            newTop: child0,
+          },
+        ]);
+      });
+
+    it('remove() of a non-top element only fires unblocked', function() {
+      var child0 = container.children[0];
+      var child1 = container.children[1];
+      document.$blockingElements.push(child0);
+      document.$blockingElements.push(child1);
+      events = [];
+      document.$blockingElements.remove(child0);
+      assert.deepEqual(events, [
+        {type: 'unblocked', target: child0, oldTop: child1, newTop: child1},
+      ]);
+    });
+
+    it('top is up to date when events fire', function() {
+      var child = container.children[0];
+      var tops = [];
+      function onChange() {
+        tops.push(document.$blockingElements.top);
+      }
+      document.addEventListener('blockingelementschange', onChange);
+      document.$blockingElements.push(child);
+      document.$blockingElements.pop();
+      document.removeEventListener('blockingelementschange', onChange);
+      assert.deepEqual(tops, [child, null]);
+    });
+
+    it('push() of a non-connected element does not fire', function() {
+      assert.throws(function() {
+        document.$blockingElements.push(document.createElement('div'));
+      }, 'Non-connected element cannot be a blocking element');
+      assert.deepEqual(events, []);
+    });
+
+    it('fires when the top is removed from the document', function(done) {
+      var child = container.children[0];
+      document.$blockingElements.push(child);
+      events = [];
+      container.removeChild(child);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.deepEqual(events, [
+          {type: 'unblocked', target: child, oldTop: child, newTop: null},
+          {
+            type: 'blockingelementschange',
+            target: document,
+            oldTop: child,
+            newTop: null,
+          },
+        ]);
+        done();
+      });
+    });
+  });
+})();
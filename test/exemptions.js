@@ -0,0 +1,140 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('exemptions', function() {
+    var container;
+    var modal;
+    var toasts;
+    var chrome;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="modal">
+            <button>button</button>
+          </div>
+          <div id="chrome">
+            <div id="toasts" class="toasts">
+              <button>button</button>
+            </div>
+            <button>button</button>
+          </div>
+          <button>button</button>
+        </div>`);
+      modal = container.querySelector('#modal');
+      toasts = container.querySelector('#toasts');
+      chrome = container.querySelector('#chrome');
+    });
+
+    afterEach(function() {
+      document.$blockingElements.removeExemption(toasts);
+      document.$blockingElements.removeExemption('.toasts');
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('keeps exempt elements and their parents interactive', function() {
+      document.$blockingElements.addExemption(toasts);
+      document.$blockingElements.push(modal);
+      assert.isNotOk(toasts.inert, 'exempt element active');
+      assert.isNotOk(chrome.inert, 'parent active');
+      assert.isTrue(chrome.children[1].inert, 'sibling of exempt inert');
+      assert.isTrue(container.children[2].inert, 'sibling of parent inert');
+      assert.isNotOk(modal.inert, 'top active');
+    });
+
+    it('applies exemptions added while there is a top element', function() {
+      document.$blockingElements.push(modal);
+      assert.isTrue(chrome.inert, 'inert before exemption');
+      document.$blockingElements.addExemption(toasts);
+      assert.isNotOk(chrome.inert, 'parent active');
+      assert.isTrue(chrome.children[1].inert, 'sibling of exempt inert');
+      document.$blockingElements.removeExemption(toasts);
+      assert.isTrue(chrome.inert, 'parent inert again');
+      assert.isNotOk(chrome.children[1].inert, 'sibling of exempt restored');
+    });
+
+    it('restores inertness when the top is removed', function() {
+      document.$blockingElements.addExemption(toasts);
+      document.$blockingElements.push(modal);
+      document.$blockingElements.pop();
+      assert.isNotOk(chrome.inert, 'parent restored');
+      assert.isNotOk(chrome.children[1].inert, 'sibling of exempt restored');
+      assert.isNotOk(container.children[2].inert, 'sibling restored');
+    });
+
+    it('supports selectors', function() {
+      document.$blockingElements.addExemption('.toasts');
+      document.$blockingElements.push(modal);
+      assert.isNotOk(chrome.inert, 'parent active');
+      assert.isTrue(chrome.children[1].inert, 'sibling of exempt inert');
+    });
+
+    it('ignores exemptions containing the top element', function() {
+      document.$blockingElements.addExemption(chrome);
+      document.$blockingElements.push(toasts);
+      assert.isTrue(chrome.children[1].inert, 'sibling of top inert');
+      assert.isTrue(modal.inert, 'sibling of parent inert');
+    });
+
+    it('applies per entry exemptions while the entry is the top', function() {
+      document.$blockingElements.push(modal, {exemptions: [toasts]});
+      assert.isNotOk(chrome.inert, 'parent active');
+      document.$blockingElements.push(container.children[2]);
+      assert.isTrue(chrome.inert, 'inert under another top');
+      document.$blockingElements.pop();
+      assert.isNotOk(chrome.inert, 'active again');
+      assert.isTrue(chrome.children[1].inert, 'sibling of exempt inert');
+    });
+
+    it('applies exemptions to elements added later', function(done) {
+      document.$blockingElements.addExemption('.toasts');
+      chrome.removeChild(toasts);
+      document.$blockingElements.push(modal);
+      assert.isTrue(chrome.inert, 'inert without exempt element');
+      chrome.appendChild(toasts);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isNotOk(chrome.inert, 'parent active');
+        assert.isNotOk(toasts.inert, 'exempt element active');
+        assert.isTrue(chrome.children[0].inert, 'sibling of exempt inert');
+        var sibling = document.createElement('button');
+        chrome.appendChild(sibling);
+        setTimeout(function() {
+          assert.isTrue(sibling.inert, 'added sibling of exempt inert');
+          chrome.removeChild(toasts);
+          setTimeout(function() {
+            assert.isTrue(chrome.inert, 'inert again');
+            assert.isNotOk(sibling.inert, 'sibling of exempt restored');
+            done();
+          });
+        });
+      });
+    });
+  });
+})();
@@ -0,0 +1,242 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements() {
+    while (document.$blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('focus', function() {
+    var container;
+    var opener;
+    var dialog;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+      <div>
+        <button id="opener">opener</button>
+        <div id="dialog">
+          <span>text</span>
+          <button disabled>disabled</button>
+          <button id="first">first</button>
+          <input id="auto" autofocus>
+        </div>
+      </div>`);
+      opener = container.querySelector('#opener');
+      dialog = container.querySelector('#dialog');
+      opener.focus();
+    });
+
+    afterEach(function() {
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('push() does not move focus by default', function() {
+      document.$blockingElements.push(dialog);
+      assert.equal(document.activeElement, opener);
+    });
+
+    it('push() with initialFocus focuses the autofocus element', function() {
+      document.$blockingElements.push(dialog, {initialFocus: true});
+      assert.equal(document.activeElement, dialog.querySelector('#auto'));
+    });
+
+    it('push() with initialFocus focuses the first focusable element',
+      function() {
+        dialog.querySelector('#auto').removeAttribute('autofocus');
+        document.$blockingElements.push(dialog, {initialFocus: true});
+        assert.equal(document.activeElement, dialog.querySelector('#first'));
+      });
+
+    it('push() with initialFocus focuses the given element', function() {
+      var first = dialog.querySelector('#first');
+      document.$blockingElements.push(dialog, {initialFocus: first});
+      assert.equal(document.activeElement, first);
+    });
+
+    it('initialFocus looks into the slots of other documents', function() {
+      var frame = document.createElement('iframe');
+      container.appendChild(frame);
+      var doc = frame.contentDocument;
+      doc.body.innerHTML = '<div><slot><button>in slot</button></slot></div>' +
+        '<button>button</button>';
+      var frameBlockingElements = blockingElements.install(doc);
+      try {
+        frameBlockingElements.push(doc.body.firstChild, {initialFocus: true});
+        assert.equal(doc.activeElement, doc.querySelector('slot > button'));
+      } finally {
+        blockingElements.uninstall(doc);
+      }
+    });
+
+    it('remove() with restoreFocus focuses the previously focused element',
+      function() {
+        document.$blockingElements.push(dialog, {
+          initialFocus: true,
+          restoreFocus: true,
+        });
+        assert.notEqual(document.activeElement, opener);
+        document.$blockingElements.remove(dialog);
+        assert.equal(document.activeElement, opener);
+      });
+
+    it('remove() without restoreFocus does not move focus', function() {
+      document.$blockingElements.push(dialog, {initialFocus: true});
+      var focused = document.activeElement;
+      document.$blockingElements.remove(dialog);
+      assert.equal(document.activeElement, focused);
+    });
+
+    it('restoreFocus skips elements that are not connected', function() {
+      document.$blockingElements.push(dialog, {
+        initialFocus: true,
+        restoreFocus: true,
+      });
+      container.removeChild(opener);
+      var focused = document.activeElement;
+      document.$blockingElements.pop();
+      assert.equal(document.activeElement, focused);
+    });
+
+    it('restoreFocus skips elements that are still inert', function() {
+      var first = dialog.querySelector('#first');
+      var auto = dialog.querySelector('#auto');
+      // Block the first button, then open a dialog from it.
+      document.$blockingElements.push(first);
+      first.focus();
+      document.$blockingElements.push(auto, {
+        initialFocus: true,
+        restoreFocus: true,
+      });
+      assert.equal(document.activeElement, auto);
+      // The opener is blocked by the top element once auto is removed.
+      document.$blockingElements.push(opener);
+      document.$blockingElements.remove(auto);
+      assert.notEqual(document.activeElement, first);
+    });
+
+    it('nested entries restore focus in order', function() {
+      var first = dialog.querySelector('#first');
+      document.$blockingElements.push(dialog, {
+        initialFocus: first,
+        restoreFocus: true,
+      });
+      document.$blockingElements.push(first, {
+        initialFocus: true,
+        restoreFocus: true,
+      });
+      opener.focus();
+      document.$blockingElements.pop();
+      assert.equal(document.activeElement, first);
+      document.$blockingElements.pop();
+      assert.equal(document.activeElement, opener);
+    });
+
+    it('pushing again keeps restoreFocus and the element to restore',
+      function() {
+        var first = dialog.querySelector('#first');
+        document.$blockingElements.push(dialog, {
+          initialFocus: true,
+          restoreFocus: true,
+        });
+        document.$blockingElements.push(first);
+        document.$blockingElements.push(dialog);
+        assert.isTrue(
+          document.$blockingElements.inspect().entries[1].options.restoreFocus);
+        document.$blockingElements.remove(first);
+        document.$blockingElements.remove(dialog);
+        assert.equal(document.activeElement, opener);
+      });
+
+    it('restores focus when the top is removed from the document',
+      function(done) {
+        document.$blockingElements.push(dialog, {
+          initialFocus: true,
+          restoreFocus: true,
+        });
+        container.removeChild(dialog);
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, null);
+          assert.equal(document.activeElement, opener);
+          done();
+        });
+      });
+  });
+
+  describe('focus in ShadowDom v1', function() {
+    if (!Element.prototype.attachShadow) {
+      console.log('ShadowDOM v1 is not supported by the browser.');
+      return;
+    }
+
+    var container;
+    var host;
+
+    beforeEach(function(done) {
+      container = fixtureLoader.load(`
+        <div>
+          <div id="host"><input id="slotted"></div>
+          <div id="dialog"></div>
+        </div>`);
+      host = container.querySelector('#host');
+      var template = document.createElement('template');
+      template.innerHTML = `<button>inner button</button><slot></slot>`;
+      host.attachShadow({
+        mode: 'open',
+      }).appendChild(template.content);
+      // Needed by ShadowDOM polyfill.
+      setTimeout(function() {
+        done();
+      });
+    });
+
+    afterEach(function() {
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('initialFocus looks into shadow roots', function() {
+      document.$blockingElements.push(host, {initialFocus: true});
+      assert.equal(host.shadowRoot.activeElement,
+        host.shadowRoot.querySelector('button'));
+    });
+
+    it('initialFocus looks into distributed children', function() {
+      host.shadowRoot.querySelector('button').disabled = true;
+      document.$blockingElements.push(host, {initialFocus: true});
+      assert.equal(document.activeElement, host.querySelector('#slotted'));
+    });
+
+    it('restoreFocus restores the deep active element', function() {
+      var button = host.shadowRoot.querySelector('button');
+      button.focus();
+      var dialog = container.querySelector('#dialog');
+      document.$blockingElements.push(dialog, {restoreFocus: true});
+      document.activeElement.blur();
+      document.$blockingElements.remove(dialog);
+      assert.equal(host.shadowRoot.activeElement, button);
+    });
+  });
+})();
@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('frame coordinator', function() {
+    var container;
+    var frame;
+    var childWindow;
+    var childDoc;
+    var parentCoordinator;
+    var childCoordinator;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="dialog"><button>button</button></div>
+          <iframe></iframe>
+          <button>button</button>
+        </div>`);
+      frame = container.querySelector('iframe');
+      childWindow = frame.contentWindow;
+      childDoc = frame.contentDocument;
+      childDoc.body.innerHTML =
+        '<div id="child-dialog"><button>button</button></div>' +
+        '<button>button</button>';
+      blockingElements.install(childDoc);
+      parentCoordinator = new frameCoordinator.FrameCoordinator();
+      parentCoordinator.observe();
+      childCoordinator = new frameCoordinator.FrameCoordinator(childWindow);
+      childCoordinator.observe();
+    });
+
+    afterEach(function() {
+      childCoordinator.disconnect();
+      parentCoordinator.disconnect();
+      blockingElements.uninstall(childDoc);
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('pushes the frame while the child frame has a top element', function() {
+      var childDialog = childDoc.querySelector('#child-dialog');
+      childDoc.$blockingElements.push(childDialog);
+      assert.equal(document.$blockingElements.top, frame);
+      assert.isTrue(container.querySelector('#dialog').inert, 'parent inerted');
+      assert.isNotOk(childDoc.body.inert, 'child body not inerted');
+      childDoc.$blockingElements.remove(childDialog);
+      assert.equal(document.$blockingElements.top, null);
+      assert.isNotOk(container.querySelector('#dialog').inert, 'restored');
+    });
+
+    it('blocks the child frames blocked by the parent', function() {
+      document.$blockingElements.push(container.querySelector('#dialog'));
+      assert.isTrue(childDoc.body.inert, 'child body inerted');
+      document.$blockingElements.pop();
+      assert.isNotOk(childDoc.body.inert, 'child body restored');
+    });
+
+    it('does not block the child frames within the top element', function() {
+      document.$blockingElements.push(container);
+      assert.isNotOk(childDoc.body.inert);
+    });
+
+    it('does not remove a frame pushed by others', function() {
+      document.$blockingElements.push(frame);
+      childDoc.$blockingElements.push(childDoc.querySelector('#child-dialog'));
+      childDoc.$blockingElements.pop();
+      assert.equal(document.$blockingElements.top, frame);
+    });
+
+    it('does not push the frame above the top element of the parent',
+      function() {
+        var dialog = container.querySelector('#dialog');
+        document.$blockingElements.push(dialog);
+        childDoc.$blockingElements.push(childDoc.querySelector('#child-dialog'));
+        assert.equal(document.$blockingElements.top, dialog);
+        assert.isFalse(document.$blockingElements.has(frame), 'not pushed');
+        document.$blockingElements.remove(dialog);
+        assert.equal(document.$blockingElements.top, frame, 'pushed once free');
+      });
+
+    it('disconnect removes the frame from the parent stack', function() {
+      childDoc.$blockingElements.push(childDoc.querySelector('#child-dialog'));
+      childCoordinator.disconnect();
+      assert.equal(document.$blockingElements.top, null);
+      assert.equal(childDoc.$blockingElements.top,
+        childDoc.querySelector('#child-dialog'));
+    });
+
+    it('disconnect restores the child frames', function() {
+      document.$blockingElements.push(container.querySelector('#dialog'));
+      parentCoordinator.disconnect();
+      assert.isNotOk(childDoc.body.inert);
+    });
+
+    it('blocks the frames loaded afterwards', function(done) {
+      document.$blockingElements.push(container.querySelector('#dialog'));
+      var otherFrame = document.createElement('iframe');
+      otherFrame.srcdoc = '<button>button</button>';
+      otherFrame.addEventListener('load', function() {
+        assert.isTrue(otherFrame.contentDocument.body.inert);
+        done();
+      });
+      container.appendChild(otherFrame);
+    });
+  });
+})();
@@ -0,0 +1,168 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  // Calls the callback after the next popstate has been handled.
+  function afterPopState(callback) {
+    window.addEventListener('popstate', function listener() {
+      window.removeEventListener('popstate', listener);
+      setTimeout(callback);
+    });
+  }
+
+  // Calls the callback once the history entries got added.
+  function afterHistorySync(callback) {
+    Promise.resolve().then(callback);
+  }
+
+  describe('history', function() {
+    var container;
+    var outer;
+    var inner;
+    var initialState;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer">
+            <div id="inner"><button>button</button></div>
+          </div>
+          <button>button</button>
+        </div>`);
+      outer = container.querySelector('#outer');
+      inner = container.querySelector('#inner');
+      initialState = history.state;
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('push adds a history entry, going back removes the element',
+      function(done) {
+        var length = history.length;
+        document.$blockingElements.push(outer, {history: true});
+        afterHistorySync(function() {
+          assert.equal(history.length, length + 1);
+          afterPopState(function() {
+            assert.isFalse(document.$blockingElements.has(outer));
+            assert.deepEqual(history.state, initialState);
+            done();
+          });
+          history.back();
+        });
+      });
+
+    it('remove goes back through the history entry', function(done) {
+      document.$blockingElements.push(outer, {history: true});
+      afterHistorySync(function() {
+        afterPopState(function() {
+          assert.deepEqual(history.state, initialState);
+          done();
+        });
+        document.$blockingElements.remove(outer);
+      });
+    });
+
+    it('going back removes nested entries one at a time', function(done) {
+      document.$blockingElements.push(outer, {history: true});
+      document.$blockingElements.push(inner, {history: true});
+      afterHistorySync(function() {
+        afterPopState(function() {
+          assert.equal(document.$blockingElements.top, outer);
+          assert.isFalse(document.$blockingElements.has(inner));
+          afterPopState(function() {
+            assert.equal(document.$blockingElements.top, null);
+            done();
+          });
+          history.back();
+        });
+        history.back();
+      });
+    });
+
+    it('consumes the entries removed at once with one traversal',
+      function(done) {
+        document.$blockingElements.push(outer, {history: true});
+        document.$blockingElements.push(inner, {history: true});
+        afterHistorySync(function() {
+          var popStates = 0;
+          function count() {
+            popStates++;
+          }
+          window.addEventListener('popstate', count);
+          document.$blockingElements.reset();
+          setTimeout(function() {
+            window.removeEventListener('popstate', count);
+            assert.equal(popStates, 1);
+            assert.deepEqual(history.state, initialState);
+            done();
+          }, 100);
+        });
+      });
+
+    it('consumes an entry removed below the top once the top is removed',
+      function(done) {
+        document.$blockingElements.push(outer, {history: true});
+        document.$blockingElements.push(inner, {history: true});
+        afterHistorySync(function() {
+          var state = history.state;
+          document.$blockingElements.remove(outer);
+          afterHistorySync(function() {
+            assert.deepEqual(history.state, state, 'no traversal');
+            afterPopState(function() {
+              assert.deepEqual(history.state, initialState);
+              done();
+            });
+            document.$blockingElements.remove(inner);
+          });
+        });
+      });
+
+    it('consumes the entry of disconnected elements', function(done) {
+      document.$blockingElements.push(outer, {history: true});
+      afterHistorySync(function() {
+        afterPopState(function() {
+          assert.isFalse(document.$blockingElements.has(outer));
+          assert.deepEqual(history.state, initialState);
+          done();
+        });
+        container.removeChild(outer);
+      });
+    });
+
+    it('does not add history entries by default', function(done) {
+      var length = history.length;
+      document.$blockingElements.push(outer);
+      afterHistorySync(function() {
+        assert.equal(history.length, length);
+        done();
+      });
+    });
+  });
+})();
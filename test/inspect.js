@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  describe('inspect', function() {
+    var container;
+    var outer;
+    var inner;
+    var stack;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer">
+            <div id="inner"><button>button</button></div>
+            <button>button</button>
+          </div>
+          <button id="already" inert>button</button>
+          <div id="toasts"><button>button</button></div>
+        </div>`);
+      outer = container.querySelector('#outer');
+      inner = container.querySelector('#inner');
+      stack = new blockingElements.BlockingElementsImpl(container);
+      // Make the `inert` property reflect the attribute where not supported.
+      var already = container.querySelector('#already');
+      already.inert = true;
+    });
+
+    afterEach(function() {
+      stack.dispose();
+      fixtureLoader.destroy();
+    });
+
+    it('returns an empty snapshot without blocking elements', function() {
+      assert.deepEqual(stack.inspect(), {
+        entries: [],
+        path: [],
+        blocked: [],
+        alreadyBlocked: [],
+        distributed: [],
+        exempted: [],
+      });
+    });
+
+    it('lists the entries, the path and the blocked elements', function() {
+      stack.push(outer, {restoreFocus: true});
+      stack.push(inner);
+      var snapshot = stack.inspect();
+      assert.deepEqual(snapshot.entries, [
+        {element: outer, options: {restoreFocus: true}, dormant: false},
+        {element: inner, options: {}, dormant: false},
+      ]);
+      assert.deepEqual(snapshot.path, [inner, outer]);
+      assert.sameMembers(snapshot.blocked, [
+        outer.children[1],
+        container.querySelector('#toasts'),
+      ]);
+      assert.deepEqual(snapshot.alreadyBlocked,
+        [container.querySelector('#already')]);
+    });
+
+    it('lists the exempt regions', function() {
+      var toasts = container.querySelector('#toasts');
+      stack.addExemption(toasts);
+      stack.push(inner);
+      var snapshot = stack.inspect();
+      assert.deepEqual(snapshot.exempted, [toasts]);
+      assert.notInclude(snapshot.blocked, toasts);
+    });
+
+    it('modifying the snapshot has no effect', function() {
+      var toasts = container.querySelector('#toasts');
+      stack.push(inner, {exemptions: [toasts]});
+      stack.inspect().entries[0].options.exemptions.length = 0;
+      assert.deepEqual(stack.inspect().entries[0].options.exemptions,
+        [toasts]);
+    });
+
+    it('isBlockedBy returns the blocking element', function() {
+      stack.push(inner);
+      assert.equal(stack.isBlockedBy(outer.children[1]), inner);
+      assert.equal(
+        stack.isBlockedBy(container.querySelector('#toasts > button')), inner,
+        'descendant of a blocked element');
+      assert.equal(stack.isBlockedBy(container.querySelector('#already')),
+        null, 'already inert');
+      assert.equal(stack.isBlockedBy(inner.children[0]), null, 'in the top');
+      assert.equal(stack.isBlockedBy(outer), null, 'parent of the top');
+    });
+  });
+
+  describe('inspect with ShadowDom v1', function() {
+    var container;
+    var host;
+    var stack;
+
+    beforeEach(function() {
+      if (!Element.prototype.attachShadow) {
+        this.skip();
+        return;
+      }
+      container = fixtureLoader.load(`
+        <div>
+          <div id="host">
+            <button id="distributed">button</button>
+          </div>
+          <button>button</button>
+        </div>`);
+      host = container.querySelector('#host');
+      host.attachShadow({mode: 'open'}).innerHTML = `
+        <div><slot></slot></div>
+        <button>button</button>`;
+      stack = new blockingElements.BlockingElementsImpl(container);
+    });
+
+    afterEach(function() {
+      stack && stack.dispose();
+      fixtureLoader.destroy();
+    });
+
+    it('lists the distributed children', function() {
+      var distributed = container.querySelector('#distributed');
+      stack.push(host);
+      var snapshot = stack.inspect();
+      assert.deepEqual(snapshot.path, [host]);
+      assert.deepEqual(snapshot.distributed, [distributed]);
+      assert.deepEqual(snapshot.blocked, [container.children[1]]);
+      assert.equal(stack.isBlockedBy(distributed), null, 'distributed');
+    });
+
+    it('isBlockedBy walks the flattened tree', function() {
+      var slotParent = host.shadowRoot.children[0];
+      stack.push(slotParent);
+      assert.equal(stack.isBlockedBy(host.shadowRoot.children[1]), slotParent);
+      assert.equal(stack.isBlockedBy(container.querySelector('#distributed')),
+        null, 'slotted in the top');
+    });
+  });
+})();
@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  describe('install', function() {
+    var doc;
+
+    beforeEach(function() {
+      doc = document.implementation.createHTMLDocument('install');
+      doc.body.innerHTML = `
+        <div id="top"><button>button</button></div>
+        <div id="sibling"><button>button</button></div>`;
+    });
+
+    afterEach(function() {
+      blockingElements.uninstall(doc);
+    });
+
+    it('document.$blockingElements is installed on load', function() {
+      assert.instanceOf(document.$blockingElements,
+        blockingElements.BlockingElementsImpl);
+    });
+
+    it('install sets $blockingElements blocking within the body', function() {
+      var installed = blockingElements.install(doc);
+      assert.equal(doc.$blockingElements, installed);
+      assert.notEqual(installed, document.$blockingElements);
+      installed.push(doc.getElementById('top'));
+      assert.isTrue(doc.getElementById('sibling').inert, 'sibling inert');
+    });
+
+    it('install keeps the installed instance', function() {
+      var installed = blockingElements.install(doc);
+      assert.equal(blockingElements.install(doc), installed);
+    });
+
+    it('uninstall restores inertness and removes $blockingElements',
+      function() {
+        var installed = blockingElements.install(doc);
+        installed.push(doc.getElementById('top'));
+        blockingElements.uninstall(doc);
+        assert.isUndefined(doc.$blockingElements);
+        assert.isNotOk(doc.getElementById('sibling').inert, 'restored');
+        assert.notEqual(blockingElements.install(doc), installed,
+          'installs a new instance');
+      });
+
+    it('uninstall ignores instances not set by install', function() {
+      var custom = new blockingElements.BlockingElementsImpl(doc);
+      doc.$blockingElements = custom;
+      blockingElements.uninstall(doc);
+      assert.equal(doc.$blockingElements, custom);
+    });
+
+    it('creates independent instances', function() {
+      var container = fixtureLoader.load(`
+        <div>
+          <div id="top"><button>button</button></div>
+          <div id="sibling"><button>button</button></div>
+        </div>`);
+      var instance = new blockingElements.BlockingElementsImpl();
+      instance.push(container.querySelector('#top'));
+      assert.equal(instance.top, container.querySelector('#top'));
+      assert.equal(document.$blockingElements.top, null);
+      assert.isTrue(container.querySelector('#sibling').inert, 'inert');
+      instance.pop();
+      assert.isNotOk(container.querySelector('#sibling').inert, 'restored');
+      fixtureLoader.destroy();
+    });
+  });
+})();
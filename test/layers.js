@@ -0,0 +1,132 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('layers', function() {
+    var container;
+    var system;
+    var dialog;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="system"><button>button</button></div>
+          <div id="dialog"><button>button</button></div>
+          <button>button</button>
+        </div>`);
+      system = container.querySelector('#system');
+      dialog = container.querySelector('#dialog');
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('elements of a higher layer stay on top', function() {
+      document.$blockingElements.push(system, {layer: 'system'});
+      document.$blockingElements.push(dialog);
+      assert.equal(document.$blockingElements.top, system);
+      assert.isTrue(document.$blockingElements.has(dialog));
+      document.$blockingElements.remove(system);
+      assert.equal(document.$blockingElements.top, dialog);
+    });
+
+    it('pushing below the top element keeps it interactive', function() {
+      var changes = 0;
+      function count() {
+        changes++;
+      }
+      document.addEventListener('blockingelementschange', count);
+      document.$blockingElements.push(system, {layer: 'system'});
+      var button = system.querySelector('button');
+      button.focus();
+      changes = 0;
+      document.$blockingElements.push(dialog, {initialFocus: true});
+      assert.equal(changes, 0, 'top did not change');
+      assert.isFalse(system.hasAttribute('inert'), 'top not inerted');
+      assert.equal(document.activeElement, button, 'focus not moved');
+      document.removeEventListener('blockingelementschange', count);
+    });
+
+    it('initialFocus applies once the element becomes the top', function() {
+      document.$blockingElements.push(system, {layer: 'system'});
+      document.$blockingElements.push(dialog, {initialFocus: true});
+      document.$blockingElements.remove(system);
+      assert.equal(document.activeElement, dialog.querySelector('button'));
+    });
+
+    it('pushing again keeps the layer', function() {
+      document.$blockingElements.push(system, {layer: 'system'});
+      document.$blockingElements.push(dialog, {layer: 'system'});
+      document.$blockingElements.push(system);
+      assert.equal(document.$blockingElements.top, system);
+      document.$blockingElements.push(container.lastElementChild);
+      assert.equal(document.$blockingElements.top, system);
+    });
+
+    it('pushing the top element again applies the options', function() {
+      var changes = 0;
+      var count = function() {
+        changes++;
+      };
+      document.$blockingElements.push(system, {layer: 'system'});
+      document.addEventListener('blockingelementschange', count);
+      document.$blockingElements.push(system, {layer: 'default'});
+      document.removeEventListener('blockingelementschange', count);
+      assert.equal(document.$blockingElements.top, system);
+      assert.equal(changes, 0, 'still the top');
+      document.$blockingElements.push(dialog);
+      assert.equal(document.$blockingElements.top, dialog, 'moved down');
+    });
+
+    it('supports numeric layers', function() {
+      document.$blockingElements.push(system, {layer: 5});
+      document.$blockingElements.push(dialog, {layer: 1});
+      assert.equal(document.$blockingElements.top, system);
+      document.$blockingElements.push(dialog, {layer: 5});
+      assert.equal(document.$blockingElements.top, dialog);
+    });
+
+    it('supports custom layer names', function() {
+      var stack = blockingElements.createBlockingElements(container, {
+        layers: ['low', 'high'],
+      });
+      stack.push(system, {layer: 'high'});
+      stack.push(dialog, {layer: 'low'});
+      assert.equal(stack.top, system);
+      stack.dispose();
+    });
+
+    it('throws for unknown layers', function() {
+      assert.throws(function() {
+        document.$blockingElements.push(dialog, {layer: 'unknown'});
+      });
+      assert.isFalse(document.$blockingElements.has(dialog));
+    });
+  });
+})();
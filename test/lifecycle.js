@@ -0,0 +1,168 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  describe('reset and dispose', function() {
+    var container;
+    var outer;
+    var inner;
+    var stack;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="outer">
+            <div id="inner"><button>button</button></div>
+            <button>button</button>
+          </div>
+          <button id="already" inert>button</button>
+          <button>button</button>
+        </div>`);
+      outer = container.querySelector('#outer');
+      inner = container.querySelector('#inner');
+      stack = new blockingElements.BlockingElementsImpl(container);
+    });
+
+    afterEach(function() {
+      stack.dispose();
+      fixtureLoader.destroy();
+    });
+
+    it('reset empties the stack and restores inertness', function() {
+      var events = [];
+      container.addEventListener('blockingelementschange', function(e) {
+        events.push(e.detail);
+      });
+      stack.push(outer);
+      stack.push(inner);
+      events = [];
+      stack.reset();
+      assert.equal(stack.top, null);
+      assert.isFalse(stack.has(outer));
+      assert.isFalse(stack.has(inner));
+      assert.isNotOk(outer.children[1].inert, 'restored');
+      assert.isNotOk(container.children[2].inert, 'restored');
+      assert.isTrue(container.querySelector('#already').hasAttribute('inert'),
+        'already inert left inert');
+      assert.equal(events.length, 1);
+      assert.equal(events[0].oldTop, inner);
+      assert.equal(events[0].newTop, null);
+    });
+
+    it('reset stops observing', function(done) {
+      stack.push(inner);
+      stack.reset();
+      var added = document.createElement('button');
+      outer.appendChild(added);
+      container.removeChild(outer);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isNotOk(added.inert, 'added sibling not inerted');
+        done();
+      });
+    });
+
+    it('the instance is usable after reset', function(done) {
+      stack.push(inner);
+      stack.reset();
+      stack.push(outer);
+      assert.equal(stack.top, outer);
+      assert.isTrue(container.children[2].inert, 'inert');
+      var added = document.createElement('button');
+      container.appendChild(added);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isTrue(added.inert, 'added sibling inerted');
+        done();
+      });
+    });
+
+    it('reset keeps the configuration and the exemptions', function() {
+      var strategy = new blockingElements.ClassBlockingStrategy();
+      stack.strategy = strategy;
+      stack.scrollLock = true;
+      stack.addExemption(outer.children[1]);
+      stack.reset();
+      assert.equal(stack.strategy, strategy);
+      assert.isTrue(stack.scrollLock);
+      stack.push(inner);
+      assert.isFalse(outer.children[1].classList.contains('blocked'), 'exempt');
+    });
+
+    it('reset restores the initial configuration if asked to', function() {
+      var strategy = new blockingElements.ClassBlockingStrategy();
+      var instance = new blockingElements.BlockingElementsImpl(container,
+        {strategy: strategy, ariaModal: true});
+      instance.strategy = new blockingElements.ClassBlockingStrategy('other');
+      instance.scrollLock = true;
+      instance.ariaModal = false;
+      instance.addExemption(outer.children[1]);
+      instance.push(inner);
+      instance.reset({configuration: true});
+      assert.equal(instance.strategy, strategy);
+      assert.isFalse(instance.scrollLock);
+      assert.isTrue(instance.ariaModal);
+      instance.push(inner);
+      assert.isTrue(outer.children[1].classList.contains('blocked'),
+        'not exempt');
+      instance.dispose();
+    });
+
+    it('dispose restores inertness and makes the instance unusable',
+      function() {
+        stack.push(inner);
+        stack.dispose();
+        assert.equal(stack.top, null);
+        assert.isNotOk(outer.children[1].inert, 'restored');
+        assert.throws(function() {
+          stack.push(outer);
+        }, 'disposed');
+        assert.throws(function() {
+          stack.batch(function() {});
+        }, 'disposed');
+        assert.throws(function() {
+          stack.addExemption(outer);
+        }, 'disposed');
+        assert.isFalse(stack.remove(inner));
+        assert.equal(stack.pop(), null);
+        assert.isFalse(stack.has(inner));
+        stack.reset();
+        stack.dispose();
+      });
+
+    it('destructor disposes the instance', function() {
+      stack.push(inner);
+      stack.destructor();
+      assert.isNotOk(outer.children[1].inert, 'restored');
+      assert.throws(function() {
+        stack.push(outer);
+      }, 'disposed');
+    });
+
+    it('empty instances can be disposed before the body exists', function() {
+      var doc = document.implementation.createHTMLDocument('empty');
+      doc.documentElement.removeChild(doc.body);
+      var instance = new blockingElements.BlockingElementsImpl(doc);
+      instance.reset();
+      instance.dispose();
+    });
+  });
+})();
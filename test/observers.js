@@ -0,0 +1,128 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('mutation observers', function() {
+    var container;
+    var deepest;
+    var NativeMutationObserver = window.MutationObserver;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div><div><div><div>
+            <button id="deepest">button</button>
+            <button>button</button>
+          </div><button>button</button></div><button>button</button></div>
+          <button>button</button></div>
+          <button>button</button>
+        </div>`);
+      deepest = container.querySelector('#deepest');
+    });
+
+    afterEach(function() {
+      window.MutationObserver = NativeMutationObserver;
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('does not create an observer per parent', function() {
+      // Let the blocking strategy create its observer, if not already.
+      document.$blockingElements.push(deepest);
+      document.$blockingElements.pop();
+      var created = 0;
+      window.MutationObserver = function(callback) {
+        created++;
+        return new NativeMutationObserver(callback);
+      };
+      document.$blockingElements.push(deepest);
+      document.$blockingElements.push(deepest.nextElementSibling);
+      document.$blockingElements.pop();
+      assert.equal(created, 0);
+    });
+
+    it('observes the subtrees only while needed', function() {
+      var blockingElements = document.$blockingElements;
+      var calls = [];
+      var nativeObserve = NativeMutationObserver.prototype.observe;
+      NativeMutationObserver.prototype.observe = function(target, options) {
+        calls.push({target: target, subtree: !!options.subtree});
+        return nativeObserve.call(this, target, options);
+      };
+      var subtrees = function() {
+        return calls.filter(function(call) {
+          return call.subtree;
+        });
+      };
+      try {
+        blockingElements.push(deepest);
+        assert.equal(subtrees().length, 0, 'only the parents');
+        blockingElements.addExemption('.toast');
+        assert.equal(subtrees()[0].target, document.body,
+          'the root for selector exemptions');
+        calls = [];
+        blockingElements.removeExemption('.toast');
+        assert.isAbove(calls.length, 0, 'observed again');
+        assert.equal(subtrees().length, 0, 'without subtree');
+      } finally {
+        NativeMutationObserver.prototype.observe = nativeObserve;
+        blockingElements.removeExemption('.toast');
+      }
+    });
+
+    it('handles siblings moved out and back once', function(done) {
+      var sibling = deepest.nextElementSibling;
+      var parent = deepest.parentNode;
+      document.$blockingElements.push(deepest);
+      parent.removeChild(sibling);
+      parent.appendChild(sibling);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isTrue(sibling.inert, 'still inert');
+        document.$blockingElements.pop();
+        assert.isNotOk(sibling.inert, 'restored');
+        done();
+      });
+    });
+
+    it('ignores records older than the inerted siblings', function(done) {
+      var sibling = deepest.nextElementSibling;
+      document.$blockingElements.push(deepest);
+      var added = document.createElement('button');
+      sibling.parentNode.appendChild(added);
+      // Inert the siblings again before the record is delivered.
+      document.$blockingElements.push(container.lastElementChild);
+      document.$blockingElements.pop();
+      setTimeout(function() {
+        assert.isTrue(added.inert, 'inert');
+        document.$blockingElements.pop();
+        assert.isNotOk(added.inert, 'restored');
+        done();
+      });
+    });
+  });
+})();
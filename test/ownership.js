@@ -0,0 +1,124 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('inert ownership', function() {
+    var container;
+    var scoped;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="a">
+            <button>button</button>
+            <button>button</button>
+          </div>
+          <div id="b">
+            <button>button</button>
+            <button>button</button>
+          </div>
+          <button id="c">button</button>
+        </div>`);
+      scoped = null;
+    });
+
+    afterEach(function() {
+      scoped && emptyBlockingElements(scoped);
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('keeps inert the elements inerted meanwhile by others', function() {
+      var c = container.querySelector('#c');
+      document.$blockingElements.push(container.querySelector('#a'));
+      assert.isTrue(c.inert, 'inerted');
+      c.setAttribute('inert', '');
+      document.$blockingElements.pop();
+      assert.isTrue(c.inert, 'still inert');
+    });
+
+    it('keeps inert the elements made inert before a top change', function() {
+      var a = container.querySelector('#a');
+      var b = container.querySelector('#b');
+      document.$blockingElements.push(a.children[0]);
+      // Made inert while not blocked by the stack.
+      b.children[1].inert = true;
+      document.$blockingElements.push(b.children[0]);
+      assert.isTrue(b.children[1].inert, 'inert');
+      emptyBlockingElements(document.$blockingElements);
+      assert.isTrue(b.children[1].inert, 'still inert');
+      assert.isNotOk(b.children[0].inert, 'restored');
+      assert.isNotOk(a.children[1].inert, 'restored');
+    });
+
+    it('elements blocked by several stacks are restored by the last one',
+      function() {
+        var a = container.querySelector('#a');
+        var c = container.querySelector('#c');
+        scoped = blockingElements.createBlockingElements(container);
+        document.$blockingElements.push(a.children[0]);
+        scoped.push(container.querySelector('#b'));
+        assert.isTrue(a.inert, 'inerted by the scoped stack');
+        assert.isTrue(c.inert, 'inerted by both stacks');
+
+        document.$blockingElements.pop();
+        assert.isTrue(c.inert, 'still inerted by the scoped stack');
+        assert.isNotOk(a.children[1].inert, 'restored');
+
+        scoped.pop();
+        assert.isNotOk(c.inert, 'restored');
+        assert.isNotOk(a.inert, 'restored');
+      });
+
+    it('elements blocked by several stacks restored in any order',
+      function() {
+        var c = container.querySelector('#c');
+        scoped = blockingElements.createBlockingElements(container);
+        document.$blockingElements.push(container.querySelector('#a'));
+        scoped.push(container.querySelector('#b'));
+        scoped.pop();
+        assert.isTrue(c.inert, 'still inerted by the global stack');
+        document.$blockingElements.pop();
+        assert.isNotOk(c.inert, 'restored');
+      });
+
+    it('class strategy counts stacks sharing the class', function() {
+      var c = container.querySelector('#c');
+      var options = {strategy: new blockingElements.ClassBlockingStrategy()};
+      scoped = blockingElements.createBlockingElements(container, options);
+      var other = blockingElements.createBlockingElements(container, {
+        strategy: new blockingElements.ClassBlockingStrategy(),
+      });
+      scoped.push(container.querySelector('#a'));
+      other.push(container.querySelector('#b'));
+      scoped.pop();
+      assert.isTrue(c.classList.contains('blocked'), 'still blocked');
+      other.pop();
+      assert.isFalse(c.classList.contains('blocked'), 'restored');
+    });
+  });
+})();
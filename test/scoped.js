@@ -0,0 +1,209 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('scoped', function() {
+    var container;
+    var pane;
+    var outside;
+    var scoped;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <button id="outside">button</button>
+          <div id="pane">
+            <button>button</button>
+            <button>button</button>
+            <div>
+              <button>button</button>
+              <button>button</button>
+            </div>
+          </div>
+        </div>`);
+      pane = container.querySelector('#pane');
+      outside = container.querySelector('#outside');
+      scoped = blockingElements.createBlockingElements(pane);
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(scoped);
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('createBlockingElements() returns a new stack', function() {
+      assert.notEqual(scoped, document.$blockingElements);
+      assert.equal(scoped.top, null);
+      scoped.push(pane.children[0]);
+      assert.equal(scoped.top, pane.children[0]);
+      assert.equal(document.$blockingElements.top, null);
+    });
+
+    it('push() inerts siblings only within the root', function() {
+      var inner = pane.children[2];
+      scoped.push(inner.children[0]);
+      assert.isNotOk(inner.children[0].inert, 'top active');
+      assert.isTrue(inner.children[1].inert, 'top sibling inert');
+      assert.isNotOk(inner.inert, 'parent active');
+      assert.isTrue(pane.children[0].inert, 'parent sibling inert');
+      assert.isTrue(pane.children[1].inert, 'parent sibling inert');
+      assert.isNotOk(pane.inert, 'root active');
+      assert.isNotOk(outside.inert, 'outside the root active');
+
+      scoped.pop();
+      assert.isNotOk(inner.children[1].inert, 'top sibling restored');
+      assert.isNotOk(pane.children[0].inert, 'parent sibling restored');
+      assert.isNotOk(pane.children[1].inert, 'parent sibling restored');
+    });
+
+    it('push() adds only elements contained in the root', function() {
+      assert.throws(function() {
+        scoped.push(outside);
+      }, 'Element outside the root cannot be a blocking element');
+      assert.throws(function() {
+        scoped.push(document.createElement('div'));
+      }, 'Non-connected element cannot be a blocking element');
+      assert.throws(function() {
+        scoped.push(pane);
+      }, 'Element outside the root cannot be a blocking element');
+      assert.equal(scoped.top, null, 'element is not a blocking element');
+    });
+
+    it('fires blockingelementschange on the root', function() {
+      var detail = null;
+      function onChange(e) {
+        detail = e.detail;
+      }
+      pane.addEventListener('blockingelementschange', onChange);
+      scoped.push(pane.children[0]);
+      pane.removeEventListener('blockingelementschange', onChange);
+      assert.deepEqual(detail, {oldTop: null, newTop: pane.children[0]});
+    });
+
+    it('coexists with document.$blockingElements', function() {
+      scoped.push(pane.children[0]);
+      document.$blockingElements.push(outside);
+      assert.isTrue(pane.inert, 'root inerted by the global stack');
+      assert.isTrue(pane.children[1].inert, 'sibling inerted by scoped stack');
+
+      document.$blockingElements.pop();
+      assert.isNotOk(pane.inert, 'root restored');
+      assert.isTrue(pane.children[1].inert, 'sibling still inert');
+    });
+
+    it('nested scoped stacks', function() {
+      var inner = pane.children[2];
+      var nested = blockingElements.createBlockingElements(inner);
+      scoped.push(inner);
+      nested.push(inner.children[0]);
+      assert.isTrue(pane.children[0].inert, 'outer sibling inert');
+      assert.isTrue(inner.children[1].inert, 'inner sibling inert');
+      nested.pop();
+      assert.isNotOk(inner.children[1].inert, 'inner sibling restored');
+      assert.isTrue(pane.children[0].inert, 'outer sibling still inert');
+    });
+
+    it('should inert new siblings', function(done) {
+      scoped.push(pane.children[0]);
+      var input = document.createElement('input');
+      pane.appendChild(input);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isTrue(input.inert, 'inerted');
+        done();
+      });
+    });
+
+    it('should remove top if it was removed', function(done) {
+      scoped.push(pane.children[0]);
+      pane.removeChild(pane.children[0]);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.equal(scoped.top, null);
+        assert.isNotOk(pane.children[0].inert, 'sibling restored');
+        done();
+      });
+    });
+  });
+
+  describe('scoped in ShadowDom v1', function() {
+    if (!Element.prototype.attachShadow) {
+      console.log('ShadowDOM v1 is not supported by the browser.');
+      return;
+    }
+
+    var container;
+    var shadowRoot;
+    var scoped;
+
+    beforeEach(function(done) {
+      container = fixtureLoader.load(`
+        <div>
+          <button>button</button>
+        </div>`);
+      var template = document.createElement('template');
+      template.innerHTML = `<button>inner button</button><div><input></div>`;
+      shadowRoot = container.attachShadow({
+        mode: 'open',
+      });
+      shadowRoot.appendChild(template.content);
+      scoped = blockingElements.createBlockingElements(shadowRoot);
+      // Needed by ShadowDOM polyfill.
+      setTimeout(function() {
+        done();
+      });
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(scoped);
+      fixtureLoader.destroy();
+    });
+
+    it('push() inerts siblings only within the shadow root', function() {
+      var div = shadowRoot.querySelector('div');
+      scoped.push(div.firstElementChild);
+      assert.isTrue(shadowRoot.querySelector('button').inert, 'sibling inert');
+      assert.isNotOk(div.inert, 'parent active');
+      assert.isNotOk(container.children[0].inert, 'light child active');
+      scoped.pop();
+      assert.isNotOk(shadowRoot.querySelector('button').inert,
+        'sibling restored');
+    });
+
+    it('should inert new siblings', function(done) {
+      scoped.push(shadowRoot.querySelector('div'));
+      var input = document.createElement('input');
+      shadowRoot.appendChild(input);
+      // Wait for mutation observer to see the change.
+      setTimeout(function() {
+        assert.isTrue(input.inert, 'inerted');
+        done();
+      });
+    });
+  });
+})();
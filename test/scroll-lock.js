@@ -0,0 +1,140 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  function touchMove(target) {
+    var event = new Event('touchmove', {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+    });
+    target.dispatchEvent(event);
+    return event.defaultPrevented;
+  }
+
+  describe('scroll lock', function() {
+    var container;
+    var top;
+    var scrollingElement;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="top" style="overflow: auto;"><button>button</button></div>
+          <button>button</button>
+        </div>`);
+      top = container.querySelector('#top');
+      scrollingElement = document.scrollingElement || document.documentElement;
+    });
+
+    afterEach(function() {
+      emptyBlockingElements(document.$blockingElements);
+      document.$blockingElements.scrollLock = false;
+      scrollingElement.removeAttribute('style');
+      fixtureLoader.destroy();
+    });
+
+    it('is disabled by default', function() {
+      assert.isFalse(document.$blockingElements.scrollLock);
+      document.$blockingElements.push(top);
+      assert.equal(scrollingElement.style.overflowY, '');
+    });
+
+    it('hides the overflow of the scrolling element', function() {
+      document.$blockingElements.scrollLock = true;
+      document.$blockingElements.push(top);
+      assert.equal(scrollingElement.style.overflowX, 'hidden');
+      assert.equal(scrollingElement.style.overflowY, 'hidden');
+      document.$blockingElements.push(container.children[1]);
+      assert.equal(scrollingElement.style.overflowY, 'hidden',
+        'locked while the stack is not empty');
+      document.$blockingElements.pop();
+      document.$blockingElements.pop();
+      assert.equal(scrollingElement.style.overflowY, '', 'unlocked');
+      assert.equal(scrollingElement.style.paddingRight, '', 'unlocked');
+    });
+
+    it('restores the previous inline styles exactly', function() {
+      scrollingElement.style.setProperty('overflow-y', 'scroll', 'important');
+      scrollingElement.style.paddingRight = '3px';
+      document.$blockingElements.scrollLock = true;
+      document.$blockingElements.push(top);
+      assert.equal(scrollingElement.style.overflowY, 'hidden');
+      document.$blockingElements.pop();
+      assert.equal(scrollingElement.style.getPropertyValue('overflow-y'),
+        'scroll');
+      assert.equal(scrollingElement.style.getPropertyPriority('overflow-y'),
+        'important');
+      assert.equal(scrollingElement.style.paddingRight, '3px');
+      assert.equal(scrollingElement.style.overflowX, '');
+    });
+
+    it('compensates for the scrollbar width', function() {
+      var scrollbarWidth =
+        window.innerWidth - document.documentElement.clientWidth;
+      if (!scrollbarWidth) {
+        this.skip();
+        return;
+      }
+      scrollingElement.style.paddingRight = '3px';
+      document.$blockingElements.scrollLock = true;
+      document.$blockingElements.push(top);
+      assert.equal(scrollingElement.style.paddingRight,
+        (3 + scrollbarWidth) + 'px');
+    });
+
+    it('locks and unlocks when toggled with a top element', function() {
+      document.$blockingElements.push(top);
+      document.$blockingElements.scrollLock = true;
+      assert.equal(scrollingElement.style.overflowY, 'hidden');
+      document.$blockingElements.scrollLock = false;
+      assert.equal(scrollingElement.style.overflowY, '');
+    });
+
+    it('prevents touch scrolling outside the top element', function() {
+      document.$blockingElements.scrollLock = true;
+      document.$blockingElements.push(top);
+      assert.isTrue(touchMove(container.children[1]), 'outside prevented');
+      assert.isFalse(touchMove(top.children[0]), 'inside allowed');
+      document.$blockingElements.pop();
+      assert.isFalse(touchMove(container.children[1]), 'allowed once unlocked');
+    });
+
+    it('locks the root of scoped blocking elements', function() {
+      container.style.overflow = 'auto';
+      var stack = blockingElements.createBlockingElements(container, {
+        scrollLock: true,
+      });
+      stack.push(top);
+      assert.equal(container.style.overflowY, 'hidden');
+      assert.equal(scrollingElement.style.overflowY, '',
+        'document not locked');
+      stack.pop();
+      assert.equal(container.style.overflow, 'auto');
+    });
+  });
+})();
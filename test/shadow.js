@@ -103,4 +103,80 @@
       });
     });
   });
+  describe('ShadowDom v1 slot changes', function() {
+    if (!Element.prototype.attachShadow) {
+      console.log('ShadowDOM v1 is not supported by the browser.');
+      return;
+    }
+
+    var container;
+    var top;
+    var wrapperA;
+    var wrapperB;
+
+    beforeEach(function(done) {
+      container = fixtureLoader.load(`
+        <div>
+          <button id="top" slot="a">button</button>
+          <button slot="b">button</button>
+        </div>`);
+      var template = document.createElement('template');
+      template.innerHTML = `
+        <div id="a"><slot name="a"></slot></div>
+        <div id="b"><slot name="b"></slot></div>`;
+      container.attachShadow({
+        mode: 'open',
+      }).appendChild(template.content);
+      top = container.querySelector('#top');
+      wrapperA = container.shadowRoot.querySelector('#a');
+      wrapperB = container.shadowRoot.querySelector('#b');
+      // Needed by ShadowDOM polyfill.
+      setTimeout(function() {
+        done();
+      });
+    });
+
+    afterEach(function() {
+      emptyBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('updates inertness when the top is assigned to another slot',
+      function(done) {
+        document.$blockingElements.push(top);
+        assert.isNotOk(wrapperA.inert, 'slot wrapper active');
+        assert.isTrue(wrapperB.inert, 'other slot wrapper inert');
+        top.setAttribute('slot', 'b');
+        // Wait for slotchange.
+        setTimeout(function() {
+          assert.isTrue(wrapperA.inert, 'old slot wrapper inert');
+          assert.isNotOk(wrapperB.inert, 'new slot wrapper active');
+          done();
+        });
+      });
+
+    it('updates inertness when a slot changes name', function(done) {
+      document.$blockingElements.push(top);
+      wrapperA.firstElementChild.name = 'c';
+      wrapperB.firstElementChild.name = 'a';
+      // Wait for slotchange.
+      setTimeout(function() {
+        assert.isTrue(wrapperA.inert, 'old slot wrapper inert');
+        assert.isNotOk(wrapperB.inert, 'new slot wrapper active');
+        done();
+      });
+    });
+
+    it('stops listening once the top is removed', function(done) {
+      document.$blockingElements.push(top);
+      document.$blockingElements.pop();
+      top.setAttribute('slot', 'b');
+      // Wait for slotchange.
+      setTimeout(function() {
+        assert.isNotOk(wrapperA.inert, 'slot wrapper active');
+        assert.isNotOk(wrapperB.inert, 'slot wrapper active');
+        done();
+      });
+    });
+  });
 })();
@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('strategies', function() {
+    var container;
+    var stack;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="top"><button>button</button></div>
+          <div id="sibling" aria-hidden="false">
+            <button>button</button>
+            <input tabindex="2">
+            <span>text</span>
+          </div>
+          <button id="hidden" aria-hidden="true">button</button>
+        </div>`);
+      stack = null;
+    });
+
+    afterEach(function() {
+      stack && emptyBlockingElements(stack);
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    it('the default strategy is InertBlockingStrategy', function() {
+      assert.instanceOf(document.$blockingElements.strategy,
+        blockingElements.InertBlockingStrategy);
+    });
+
+    it('AriaHiddenBlockingStrategy hides siblings and their focusables',
+      function() {
+        var sibling = container.querySelector('#sibling');
+        stack = blockingElements.createBlockingElements(container, {
+          strategy: new blockingElements.AriaHiddenBlockingStrategy(),
+        });
+        stack.push(container.querySelector('#top'));
+        assert.equal(sibling.getAttribute('aria-hidden'), 'true');
+        assert.equal(sibling.querySelector('button').getAttribute('tabindex'),
+          '-1');
+        assert.equal(sibling.querySelector('input').getAttribute('tabindex'),
+          '-1');
+        assert.isFalse(sibling.querySelector('span').hasAttribute('tabindex'));
+        assert.isNotOk(sibling.inert, 'inert not used');
+
+        stack.pop();
+        assert.equal(sibling.getAttribute('aria-hidden'), 'false');
+        assert.isFalse(sibling.querySelector('button').hasAttribute('tabindex'));
+        assert.equal(sibling.querySelector('input').getAttribute('tabindex'),
+          '2');
+      });
+
+    it('AriaHiddenBlockingStrategy preserves already hidden elements',
+      function() {
+        var hidden = container.querySelector('#hidden');
+        stack = blockingElements.createBlockingElements(container, {
+          strategy: new blockingElements.AriaHiddenBlockingStrategy(),
+        });
+        stack.push(container.querySelector('#top'));
+        assert.isFalse(hidden.hasAttribute('tabindex'), 'not updated');
+        stack.pop();
+        assert.equal(hidden.getAttribute('aria-hidden'), 'true');
+      });
+
+    it('ClassBlockingStrategy adds a class to siblings', function() {
+      var sibling = container.querySelector('#sibling');
+      stack = blockingElements.createBlockingElements(container, {
+        strategy: new blockingElements.ClassBlockingStrategy('no-pointer'),
+      });
+      stack.push(container.querySelector('#top'));
+      assert.isTrue(sibling.classList.contains('no-pointer'));
+      stack.pop();
+      assert.isFalse(sibling.classList.contains('no-pointer'));
+    });
+
+    it('custom strategies are supported', function() {
+      var blocked = [];
+      stack = blockingElements.createBlockingElements(container, {
+        strategy: {
+          isBlocked: function(element) {
+            return blocked.indexOf(element) !== -1;
+          },
+          block: function(element) {
+            blocked.push(element);
+          },
+          unblock: function(element) {
+            blocked.splice(blocked.indexOf(element), 1);
+          },
+        },
+      });
+      stack.push(container.querySelector('#top'));
+      assert.deepEqual(blocked, [
+        container.querySelector('#sibling'),
+        container.querySelector('#hidden'),
+      ]);
+      stack.pop();
+      assert.deepEqual(blocked, []);
+    });
+
+    it('setting the strategy updates the blocked elements', function() {
+      var sibling = container.querySelector('#sibling');
+      document.$blockingElements.push(container.querySelector('#top'));
+      assert.isTrue(sibling.inert, 'inerted');
+      var inertStrategy = document.$blockingElements.strategy;
+      document.$blockingElements.strategy =
+        new blockingElements.ClassBlockingStrategy();
+      assert.isNotOk(sibling.inert, 'inert restored');
+      assert.isTrue(sibling.classList.contains('blocked'));
+      document.$blockingElements.strategy = inertStrategy;
+      assert.isFalse(sibling.classList.contains('blocked'));
+      assert.isTrue(sibling.inert, 'inerted again');
+    });
+  });
+})();
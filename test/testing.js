@@ -0,0 +1,137 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  var testing = blockingElementsTesting;
+  /* eslint-disable require-jsdoc */
+
+  describe('testing helpers', function() {
+    var container;
+    var dialog;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="dialog"><button id="inside">button</button></div>
+          <div id="host"></div>
+          <button id="outside">button</button>
+          <input id="disabled" disabled>
+        </div>`);
+      dialog = container.querySelector('#dialog');
+      container.querySelector('#host').attachShadow({mode: 'open'})
+        .innerHTML = '<button id="shadow">button</button><slot></slot>';
+    });
+
+    afterEach(function() {
+      testing.resetBlockingElements();
+      fixtureLoader.destroy();
+    });
+
+    it('assertOnlyInteractive passes when only the top is interactive',
+      function() {
+        document.$blockingElements.push(dialog);
+        testing.assertOnlyInteractive(dialog);
+      });
+
+    it('assertOnlyInteractive throws if the element is not the top',
+      function() {
+        assert.throws(function() {
+          testing.assertOnlyInteractive(dialog);
+        }, /not the top element/);
+      });
+
+    it('assertOnlyInteractive throws if something outside is interactive',
+      function() {
+        document.$blockingElements.push(dialog);
+        // Not blocked until the mutation observer is notified.
+        var added = document.createElement('button');
+        added.id = 'added';
+        container.appendChild(added);
+        assert.throws(function() {
+          testing.assertOnlyInteractive(dialog);
+        }, /Interactive outside of div#dialog: button#added/);
+      });
+
+    it('assertOnlyInteractive allows the exempt regions', function() {
+      var outside = container.querySelector('#outside');
+      document.$blockingElements.addExemption(outside);
+      document.$blockingElements.push(dialog);
+      testing.assertOnlyInteractive(dialog);
+    });
+
+    it('assertOnlyInteractive walks into shadow roots', function() {
+      var host = container.querySelector('#host');
+      var shadowButton = host.shadowRoot.querySelector('#shadow');
+      document.$blockingElements.push(shadowButton);
+      testing.assertOnlyInteractive(shadowButton);
+      var added = document.createElement('button');
+      added.id = 'added';
+      host.shadowRoot.appendChild(added);
+      assert.throws(function() {
+        testing.assertOnlyInteractive(shadowButton);
+      }, /button#added/);
+    });
+
+    it('getTabbableElements lists the tabbable elements not inert',
+      function() {
+        var ids = function(elements) {
+          return elements.map(function(element) {
+            return element.id;
+          });
+        };
+        assert.deepEqual(ids(testing.getTabbableElements(container)),
+          ['inside', 'shadow', 'outside']);
+        document.$blockingElements.push(dialog);
+        assert.deepEqual(ids(testing.getTabbableElements(container)),
+          ['inside']);
+      });
+
+    it('getTabbableElements follows the flattened tree', function() {
+      var slotted = document.createElement('button');
+      slotted.id = 'slotted';
+      container.querySelector('#host').appendChild(slotted);
+      var ids = testing.getTabbableElements(container).map(function(element) {
+        return element.id;
+      });
+      assert.deepEqual(ids, ['inside', 'shadow', 'slotted', 'outside']);
+    });
+
+    it('resetBlockingElements restores everything', function() {
+      var blockingElements = document.$blockingElements;
+      var outside = container.querySelector('#outside');
+      blockingElements.scrollLock = true;
+      blockingElements.push(dialog);
+      testing.resetBlockingElements();
+      assert.equal(document.$blockingElements, blockingElements,
+        'same instance');
+      assert.isNull(blockingElements.top);
+      assert.isFalse(blockingElements.scrollLock);
+      assert.isNotOk(outside.inert);
+    });
+
+    it('resetBlockingElements clears the exemptions', function() {
+      var blockingElements = document.$blockingElements;
+      var outside = container.querySelector('#outside');
+      blockingElements.addExemption(outside);
+      testing.resetBlockingElements();
+      blockingElements.push(dialog);
+      assert.isTrue(outside.inert);
+    });
+  });
+})();
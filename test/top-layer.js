@@ -0,0 +1,211 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+(function() {
+  var assert = chai.assert;
+  var fixtureLoader = new Fixture();
+  /* eslint-disable require-jsdoc */
+
+  function emptyBlockingElements(blockingElements) {
+    while (blockingElements.pop()) {
+      // keep popping!
+    }
+  }
+
+  describe('TopLayerObserver', function() {
+    var container;
+    var dialog;
+    var popover;
+    var observer;
+
+    beforeEach(function() {
+      assert.equal(document.$blockingElements.top, null);
+      container = fixtureLoader.load(`
+        <div>
+          <div id="page">
+            <dialog><button>button</button></dialog>
+            <div id="popover" popover><button>button</button></div>
+            <button>button</button>
+          </div>
+          <div id="custom"><button>button</button></div>
+          <button>button</button>
+        </div>`);
+      dialog = container.querySelector('dialog');
+      popover = container.querySelector('#popover');
+      observer = new topLayer.TopLayerObserver();
+    });
+
+    afterEach(function() {
+      observer.disconnect();
+      dialog.open && dialog.close();
+      emptyBlockingElements(document.$blockingElements);
+      fixtureLoader.destroy();
+    });
+
+    describe('dialogs', function() {
+      beforeEach(function() {
+        if (!dialog.showModal) {
+          this.skip();
+        }
+      });
+
+      it('pushes modal dialogs already open', function() {
+        dialog.showModal();
+        observer.observe();
+        assert.equal(document.$blockingElements.top, dialog);
+        assert.isNotOk(dialog.parentNode.inert, 'parent not inert');
+        assert.isTrue(container.children[1].inert, 'siblings inert');
+      });
+
+      it('pushes dialogs opened with showModal', function(done) {
+        observer.observe();
+        dialog.showModal();
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, dialog);
+          dialog.close();
+          setTimeout(function() {
+            assert.equal(document.$blockingElements.top, null,
+              'removed on close');
+            assert.isNotOk(container.children[1].inert, 'restored');
+            done();
+          });
+        });
+      });
+
+      it('ignores non-modal dialogs', function(done) {
+        observer.observe();
+        dialog.show();
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, null);
+          done();
+        });
+      });
+
+      it('removes disconnected dialogs', function(done) {
+        observer.observe();
+        dialog.showModal();
+        setTimeout(function() {
+          dialog.parentNode.removeChild(dialog);
+          setTimeout(function() {
+            assert.equal(document.$blockingElements.top, null);
+            done();
+          });
+        });
+      });
+
+      it('never blocks open modal dialogs', function(done) {
+        var custom = container.querySelector('#custom');
+        observer.observe();
+        dialog.showModal();
+        setTimeout(function() {
+          document.$blockingElements.push(custom);
+          assert.isNotOk(dialog.inert, 'dialog not inert');
+          assert.isNotOk(dialog.parentNode.inert, 'parent not inert');
+          assert.isTrue(dialog.parentNode.children[2].inert,
+            'siblings inert');
+          done();
+        });
+      });
+
+      it('pushes modal dialogs in open shadow roots', function(done) {
+        if (!Element.prototype.attachShadow) {
+          this.skip();
+          return;
+        }
+        var custom = container.querySelector('#custom');
+        var shadowRoot = custom.attachShadow({mode: 'open'});
+        shadowRoot.innerHTML = '<dialog><button>button</button></dialog>';
+        var shadowDialog = shadowRoot.querySelector('dialog');
+        observer.observe();
+        shadowDialog.showModal();
+        // Wait for mutation observer to see the change.
+        setTimeout(function() {
+          assert.equal(document.$blockingElements.top, shadowDialog);
+          shadowDialog.close();
+          setTimeout(function() {
+            assert.equal(document.$blockingElements.top, null,
+              'removed on close');
+            done();
+          });
+        });
+      });
+
+      it('observes the shadow roots connected afterwards', function(done) {
+        if (!Element.prototype.attachShadow) {
+          this.skip();
+          return;
+        }
+        observer.observe();
+        var host = document.createElement('div');
+        host.attachShadow({mode: 'open'}).innerHTML =
+          '<dialog><button>button</button></dialog>';
+        var shadowDialog = host.shadowRoot.querySelector('dialog');
+        container.appendChild(host);
+        setTimeout(function() {
+          shadowDialog.showModal();
+          setTimeout(function() {
+            assert.equal(document.$blockingElements.top, shadowDialog);
+            shadowDialog.close();
+            done();
+          });
+        });
+      });
+
+      it('disconnect removes the dialogs', function() {
+        dialog.showModal();
+        observer.observe();
+        observer.disconnect();
+        assert.equal(document.$blockingElements.top, null);
+        assert.isNotOk(container.children[1].inert, 'restored');
+      });
+    });
+
+    describe('popovers', function() {
+      beforeEach(function() {
+        if (!popover.showPopover) {
+          this.skip();
+        }
+      });
+
+      it('never blocks open popovers', function(done) {
+        var custom = container.querySelector('#custom');
+        observer.observe();
+        document.$blockingElements.push(custom);
+        assert.isTrue(popover.parentNode.inert, 'inert while closed');
+        popover.showPopover();
+        // Wait for the toggle event.
+        setTimeout(function() {
+          assert.isNotOk(popover.inert, 'popover not inert');
+          assert.isNotOk(popover.parentNode.inert, 'parent not inert');
+          popover.hidePopover();
+          setTimeout(function() {
+            assert.isTrue(popover.parentNode.inert, 'inert once closed');
+            done();
+          });
+        });
+      });
+
+      it('exempts popovers already open', function() {
+        var custom = container.querySelector('#custom');
+        popover.showPopover();
+        observer.observe();
+        document.$blockingElements.push(custom);
+        assert.isNotOk(popover.parentNode.inert, 'parent not inert');
+      });
+    });
+  });
+})();